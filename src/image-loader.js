@@ -10,11 +10,68 @@ const MIME_TYPE_FORMATS = {
   'image/gif': 'rgba8unorm',
   'image/bmp': 'rgb8unorm',
   'image/webp': 'rgba8unorm',
+  'image/avif': 'rgba8unorm',
   'image/x-icon': 'rgba8unorm',
   'image/svg+xml': 'rgba8unorm',
 };
 const IMAGE_BITMAP_SUPPORTED = (typeof createImageBitmap !== 'undefined');
 
+/**
+ * Throws an AbortError if the given signal has been aborted.
+ *
+ * @param {AbortSignal} [signal] - Signal passed with the texture options, if any.
+ * @returns {void}
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('Texture load was aborted.', 'AbortError');
+  }
+}
+
+/**
+ * Reads the body of a fetch response into a Blob, reporting the number of bytes received as it goes.
+ *
+ * @param {Response} response - Response from a successful fetch.
+ * @param {Function} [onProgress] - Called each time a chunk of the body is received.
+ * @returns {Promise<Blob>} - The complete response body.
+ */
+async function readResponseBlob(response, onProgress) {
+  if (!onProgress || !response.body) {
+    return response.blob();
+  }
+
+  const total = parseInt(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  while (true) {
+    const {done, value} = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress({stage: 'downloading', loaded, total});
+  }
+
+  onProgress({stage: 'fetched', loaded, total: loaded});
+  return new Blob(chunks, {type: response.headers.get('Content-Type') || ''});
+}
+
+/**
+ * Reports that the texture has been uploaded, if the caller asked for progress.
+ *
+ * @param {object} options - Options passed with the texture request.
+ * @param {object} result - The completed texture result.
+ * @returns {object} - The given result.
+ */
+function reportUploaded(options, result) {
+  if (options.onProgress) {
+    options.onProgress({stage: 'uploaded'});
+  }
+  return result;
+}
+
 /**
  * Loader which handles any image types supported directly by the browser.
  */
@@ -24,6 +81,8 @@ export class ImageLoader {
    * Should only be called by the WebTextureTool constructor.
    */
   constructor() {
+    // Requests that haven't finished yet, so they can be cancelled if the client that made them is destroyed.
+    this.activeRequests = new Set();
   }
 
   /**
@@ -45,6 +104,18 @@ export class ImageLoader {
    * parsed file data to the client.
    */
   async fromUrl(client, url, options) {
+    return this.trackRequest(client, options, (options) => this.loadUrl(client, url, options));
+  }
+
+  /**
+   * Loads the texture for fromUrl().
+   *
+   * @param {object} client - The WebTextureClient which will upload the texture data to the GPU.
+   * @param {string} url - An absolute URL that the texture file should be loaded from.
+   * @param {object} options - Options for how the loaded texture should be handled.
+   * @returns {Promise<module:WebTextureLoader.WebTextureResult>} - The completed WebTextureResult.
+   */
+  async loadUrl(client, url, options) {
     let format = MIME_TYPE_FORMATS[options.mimeType];
 
     if (client.supportedFormatList.indexOf(format) == -1) {
@@ -52,19 +123,40 @@ export class ImageLoader {
       format = 'rgba8unorm';
     }
 
+    const signal = options.signal;
+    throwIfAborted(signal);
+
     if (IMAGE_BITMAP_SUPPORTED) {
-      const response = await fetch(url);
-      const imageBitmap = await createImageBitmap(await response.blob());
-      return client.fromImageBitmap(imageBitmap, format, options);
+      const response = await fetch(url, {signal});
+      const imageBitmap = await createImageBitmap(await readResponseBlob(response, options.onProgress));
+      if (signal && signal.aborted) {
+        imageBitmap.close();
+        throwIfAborted(signal);
+      }
+      return reportUploaded(options, await client.fromImageBitmap(imageBitmap, format, options));
     } else {
       return new Promise((resolve, reject) => {
         const imageElement = new Image();
+        const onAbort = () => {
+          // Clearing the src stops the browser from continuing to download the image.
+          imageElement.src = '';
+          reject(new DOMException('Texture load was aborted.', 'AbortError'));
+        };
         imageElement.addEventListener('load', () => {
-          resolve(client.textureFromImageElement(imageElement, format, options));
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve(reportUploaded(options, client.textureFromImageElement(imageElement, format, options)));
         });
         imageElement.addEventListener('error', function(err) {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
           reject(err);
         });
+        if (signal) {
+          signal.addEventListener('abort', onAbort);
+        }
         imageElement.src = url;
       });
     };
@@ -80,21 +172,44 @@ export class ImageLoader {
    * parsed file data to the client.
    */
   async fromBlob(client, blob, options) {
-    let format = MIME_TYPE_FORMATS[blob.type];
+    return this.trackRequest(client, options, (options) => this.loadBlob(client, blob, options));
+  }
+
+  /**
+   * Loads the texture for fromBlob().
+   *
+   * @param {object} client - The WebTextureClient which will upload the texture data to the GPU.
+   * @param {Blob} blob - Blob containing the texture file data.
+   * @param {object} options - Options for how the loaded texture should be handled.
+   * @returns {Promise<module:WebTextureLoader.WebTextureResult>} - The completed WebTextureResult.
+   */
+  async loadBlob(client, blob, options) {
+    let format = MIME_TYPE_FORMATS[options.mimeType || blob.type];
 
     if (client.supportedFormatList.indexOf(format) == -1) {
       // 'rgba8unorm' must be supported by all clients
       format = 'rgba8unorm';
     }
 
+    const signal = options.signal;
+    throwIfAborted(signal);
+
     if (IMAGE_BITMAP_SUPPORTED) {
       const imageBitmap = await createImageBitmap(blob);
-      return client.fromImageBitmap(imageBitmap, format, options);
+      if (signal && signal.aborted) {
+        imageBitmap.close();
+        throwIfAborted(signal);
+      }
+      return reportUploaded(options, await client.fromImageBitmap(imageBitmap, format, options));
     } else {
       return new Promise((resolve, reject) => {
         const imageElement = new Image();
         imageElement.addEventListener('load', () => {
-          resolve(client.fromImageElement(imageElement, format, options));
+          if (signal && signal.aborted) {
+            reject(new DOMException('Texture load was aborted.', 'AbortError'));
+            return;
+          }
+          resolve(reportUploaded(options, client.fromImageElement(imageElement, format, options)));
         });
         imageElement.addEventListener('error', function(err) {
           reject(err);
@@ -115,10 +230,65 @@ export class ImageLoader {
    * parsed file data to the client.
    */
   async fromBuffer(client, buffer, options) {
-    const blob = new Blob(buffer, {type: options.mimeType});
+    const blob = new Blob([buffer], {type: options.mimeType});
     return this.fromBlob(client, blob, options);
   }
 
+  /**
+   * Runs a load on behalf of the given client so that it can be cancelled with cancelRequests(). The load is given a
+   * copy of the options whose signal is aborted when either the caller's signal is or the request is cancelled.
+   *
+   * @param {object} client - The WebTextureClient which will upload the texture data to the GPU.
+   * @param {object} options - Options for how the loaded texture should be handled.
+   * @param {Function} load - Called with the copied options, and returns a promise for the WebTextureResult.
+   * @returns {Promise<module:WebTextureLoader.WebTextureResult>} - The completed WebTextureResult.
+   */
+  async trackRequest(client, options, load) {
+    const controller = new AbortController();
+    const signal = options.signal;
+    const onAbort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', onAbort);
+      }
+    }
+
+    const request = {client, controller, reject: null};
+    const cancelled = new Promise((resolve, reject) => {
+      request.reject = reject;
+    });
+    this.activeRequests.add(request);
+
+    try {
+      return await Promise.race([load(Object.assign({}, options, {signal: controller.signal})), cancelled]);
+    } finally {
+      this.activeRequests.delete(request);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Cancels every pending request made on behalf of the given client, rejecting them with the given error. Used when a
+   * WebTextureTool is destroyed while other instances continue to use this loader.
+   *
+   * @param {object} client - The WebTextureClient whose requests should be cancelled.
+   * @param {Error} error - Reason the requests were cancelled.
+   * @returns {void}
+   */
+  cancelRequests(client, error) {
+    for (const request of this.activeRequests) {
+      if (request.client == client) {
+        this.activeRequests.delete(request);
+        request.reject(error);
+        request.controller.abort();
+      }
+    }
+  }
+
   /**
    * Destroy this loader.
    *
@@ -11,42 +11,215 @@ const GL = WebGLRenderingContext;
 // WebGL equivalents given where possible.
 export const WebTextureFormat = {
   // Uncompressed formats
+  'r8unorm': {
+    canGenerateMipmaps: true,
+    bytesPerPixel: 1,
+    gl: {format: 0x1903 /* RED */, type: GL.UNSIGNED_BYTE, sizedFormat: 0x8229}, // R8
+  },
+  'rg8unorm': {
+    canGenerateMipmaps: true,
+    bytesPerPixel: 2,
+    gl: {format: 0x8227 /* RG */, type: GL.UNSIGNED_BYTE, sizedFormat: 0x822B}, // RG8
+  },
   'rgb8unorm': {
     canGenerateMipmaps: true,
+    bytesPerPixel: 3,
     gl: {format: GL.RGB, type: GL.UNSIGNED_BYTE, sizedFormat: 0x8051}, // RGB8
   },
   'rgba8unorm': {
     canGenerateMipmaps: true,
+    bytesPerPixel: 4,
     gl: {format: GL.RGBA, type: GL.UNSIGNED_BYTE, sizedFormat: 0x8058}, // RGBA8
   },
   'rgb8unorm-srgb': {
-    canGenerateMipmaps: true,
-    gl: {format: GL.RGBA, type: GL.UNSIGNED_BYTE, sizedFormat: 0x8C43}, // SRGB8_ALPHA8
+    canGenerateMipmaps: false, // SRGB8 isn't color renderable.
+    bytesPerPixel: 3,
+    gl: {format: GL.RGB, type: GL.UNSIGNED_BYTE, sizedFormat: 0x8C41}, // SRGB8
   },
   'rgba8unorm-srgb': {
     canGenerateMipmaps: true,
+    bytesPerPixel: 4,
     gl: {format: GL.RGBA, type: GL.UNSIGNED_BYTE, sizedFormat: 0x8C43}, // SRGB8_ALPHA8
   },
   'rgb565unorm': {
     canGenerateMipmaps: true,
+    bytesPerPixel: 2,
     gl: {format: GL.RGB, type: GL.UNSIGNED_SHORT_5_6_5, sizedFormat: GL.RGB565},
   },
   'rgba4unorm': {
     canGenerateMipmaps: true,
+    bytesPerPixel: 2,
     gl: {format: GL.RGBA, type: GL.UNSIGNED_SHORT_4_4_4_4, sizedFormat: GL.RGBA4},
   },
   'rgba5551unorm': {
     canGenerateMipmaps: true,
+    bytesPerPixel: 2,
     gl: {format: GL.RGBA, type: GL.UNSIGNED_SHORT_5_5_5_1, sizedFormat: GL.RGB5_A1},
   },
+  'rgb10a2unorm': {
+    canGenerateMipmaps: true,
+    bytesPerPixel: 4,
+    gl: {format: GL.RGBA, type: 0x8368 /* UNSIGNED_INT_2_10_10_10_REV */, sizedFormat: 0x8059}, // RGB10_A2
+  },
+
+  'bgra8unorm': {canGenerateMipmaps: true, bytesPerPixel: 4}, // No WebGL equivalent
+  'bgra8unorm-srgb': {canGenerateMipmaps: true, bytesPerPixel: 4}, // No WebGL equivalent
+
+  // Signed normalized formats
+  'r8snorm': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 1,
+    gl: {format: 0x1903 /* RED */, type: GL.BYTE, sizedFormat: 0x8F94}, // R8_SNORM
+  },
+  'rg8snorm': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 2,
+    gl: {format: 0x8227 /* RG */, type: GL.BYTE, sizedFormat: 0x8F95}, // RG8_SNORM
+  },
+  'rgba8snorm': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: GL.RGBA, type: GL.BYTE, sizedFormat: 0x8F97}, // RGBA8_SNORM
+  },
 
-  'bgra8unorm': {canGenerateMipmaps: true}, // No WebGL equivalent
-  'bgra8unorm-srgb': {canGenerateMipmaps: true}, // No WebGL equivalent
+  // Integer formats
+  'r8uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 1,
+    gl: {format: 0x8D94 /* RED_INTEGER */, type: GL.UNSIGNED_BYTE, sizedFormat: 0x8232}, // R8UI
+  },
+  'r8sint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 1,
+    gl: {format: 0x8D94 /* RED_INTEGER */, type: GL.BYTE, sizedFormat: 0x8231}, // R8I
+  },
+  'rg8uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 2,
+    gl: {format: 0x8228 /* RG_INTEGER */, type: GL.UNSIGNED_BYTE, sizedFormat: 0x8238}, // RG8UI
+  },
+  'rg8sint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 2,
+    gl: {format: 0x8228 /* RG_INTEGER */, type: GL.BYTE, sizedFormat: 0x8237}, // RG8I
+  },
+  'rgba8uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: 0x8D99 /* RGBA_INTEGER */, type: GL.UNSIGNED_BYTE, sizedFormat: 0x8D7C}, // RGBA8UI
+  },
+  'rgba8sint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: 0x8D99 /* RGBA_INTEGER */, type: GL.BYTE, sizedFormat: 0x8D8E}, // RGBA8I
+  },
+  'r16uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 2,
+    gl: {format: 0x8D94 /* RED_INTEGER */, type: GL.UNSIGNED_SHORT, sizedFormat: 0x8234}, // R16UI
+  },
+  'r16sint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 2,
+    gl: {format: 0x8D94 /* RED_INTEGER */, type: GL.SHORT, sizedFormat: 0x8233}, // R16I
+  },
+  'rg16uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: 0x8228 /* RG_INTEGER */, type: GL.UNSIGNED_SHORT, sizedFormat: 0x823A}, // RG16UI
+  },
+  'rg16sint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: 0x8228 /* RG_INTEGER */, type: GL.SHORT, sizedFormat: 0x8239}, // RG16I
+  },
+  'rgba16uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 8,
+    gl: {format: 0x8D99 /* RGBA_INTEGER */, type: GL.UNSIGNED_SHORT, sizedFormat: 0x8D76}, // RGBA16UI
+  },
+  'rgba16sint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 8,
+    gl: {format: 0x8D99 /* RGBA_INTEGER */, type: GL.SHORT, sizedFormat: 0x8D88}, // RGBA16I
+  },
+  'r32uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: 0x8D94 /* RED_INTEGER */, type: GL.UNSIGNED_INT, sizedFormat: 0x8236}, // R32UI
+  },
+  'r32sint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: 0x8D94 /* RED_INTEGER */, type: GL.INT, sizedFormat: 0x8235}, // R32I
+  },
+  'rg32uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 8,
+    gl: {format: 0x8228 /* RG_INTEGER */, type: GL.UNSIGNED_INT, sizedFormat: 0x823C}, // RG32UI
+  },
+  'rg32sint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 8,
+    gl: {format: 0x8228 /* RG_INTEGER */, type: GL.INT, sizedFormat: 0x823B}, // RG32I
+  },
+  'rgba32uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 16,
+    gl: {format: 0x8D99 /* RGBA_INTEGER */, type: GL.UNSIGNED_INT, sizedFormat: 0x8D70}, // RGBA32UI
+  },
+  'rgba32sint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 16,
+    gl: {format: 0x8D99 /* RGBA_INTEGER */, type: GL.INT, sizedFormat: 0x8D82}, // RGBA32I
+  },
+  'rgb10a2uint': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    // RGBA_INTEGER, UNSIGNED_INT_2_10_10_10_REV, RGB10_A2UI
+    gl: {format: 0x8D99, type: 0x8368, sizedFormat: 0x906F},
+  },
 
   // Floating point textures
   'rg11b10ufloat': {
     canGenerateMipmaps: false,
-    gl: {format: GL.RGB, type: 0x8C3B /*UNSIGNED_INT_10F_11F_11F_REV*/, sizedFormat: 0x8C3A}, // R11F_G11F_B10F
+    bytesPerPixel: 4,
+    gl: {format: GL.RGB, type: 0x8C3B /* UNSIGNED_INT_10F_11F_11F_REV */, sizedFormat: 0x8C3A}, // R11F_G11F_B10F
+  },
+  'rgb9e5ufloat': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: GL.RGB, type: 0x8C3E /* UNSIGNED_INT_5_9_9_9_REV */, sizedFormat: 0x8C3D}, // RGB9_E5
+  },
+  'r16float': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 2,
+    gl: {format: 0x1903 /* RED */, type: 0x140B /* HALF_FLOAT */, sizedFormat: 0x822D}, // R16F
+  },
+  'rg16float': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: 0x8227 /* RG */, type: 0x140B /* HALF_FLOAT */, sizedFormat: 0x822F}, // RG16F
+  },
+  'rgba16float': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 8,
+    gl: {format: GL.RGBA, type: 0x140B /* HALF_FLOAT */, sizedFormat: 0x881A}, // RGBA16F
+  },
+  'r32float': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 4,
+    gl: {format: 0x1903 /* RED */, type: GL.FLOAT, sizedFormat: 0x822E}, // R32F
+  },
+  'rg32float': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 8,
+    gl: {format: 0x8227 /* RG */, type: GL.FLOAT, sizedFormat: 0x8230}, // RG32F
+  },
+  'rgba32float': {
+    canGenerateMipmaps: false,
+    bytesPerPixel: 16,
+    gl: {format: GL.RGBA, type: GL.FLOAT, sizedFormat: 0x8814}, // RGBA32F
   },
 
   // Compressed formats
@@ -55,30 +228,230 @@ export const WebTextureFormat = {
     gl: {texStorage: true, sizedFormat: 0x83F0}, // COMPRESSED_RGB_S3TC_DXT1_EXT
     compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
   },
+  'bc1-rgb-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x8C4C}, // COMPRESSED_SRGB_S3TC_DXT1_EXT
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
+  'bc1-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x83F1}, // COMPRESSED_RGBA_S3TC_DXT1_EXT
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
+  'bc1-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x8C4D}, // COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
   'bc2-rgba-unorm': {
     gl: {texStorage: true, sizedFormat: 0x83F2}, // COMPRESSED_RGBA_S3TC_DXT3_EXT
     compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
   },
+  'bc2-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x8C4E}, // COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
   'bc3-rgba-unorm': {
     gl: {texStorage: false, sizedFormat: 0x83F3}, // COMPRESSED_RGBA_S3TC_DXT5_EXT
     compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
   },
+  'bc3-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x8C4F}, // COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
+  'bc4-r-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x8DBB}, // COMPRESSED_RED_RGTC1_EXT
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
+  'bc4-r-snorm': {
+    gl: {texStorage: true, sizedFormat: 0x8DBC}, // COMPRESSED_SIGNED_RED_RGTC1_EXT
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
+  'bc5-rg-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x8DBD}, // COMPRESSED_RED_GREEN_RGTC2_EXT
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
+  'bc5-rg-snorm': {
+    gl: {texStorage: true, sizedFormat: 0x8DBE}, // COMPRESSED_SIGNED_RED_GREEN_RGTC2_EXT
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
+  'bc6h-rgb-ufloat': {
+    gl: {texStorage: true, sizedFormat: 0x8E8F}, // COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
+  'bc6h-rgb-float': {
+    gl: {texStorage: true, sizedFormat: 0x8E8E}, // COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
   'bc7-rgba-unorm': {
     gl: {texStorage: true, sizedFormat: 0x8E8C}, // COMPRESSED_RGBA_BPTC_UNORM_EXT
     compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
   },
+  'bc7-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x8E8D}, // COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
   'etc1-rgb-unorm': {
     gl: {texStorage: false, sizedFormat: 0x8D64}, // COMPRESSED_RGB_ETC1_WEBGL
     compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
   },
+  'etc2-rgb8unorm': {
+    gl: {texStorage: true, sizedFormat: 0x9274}, // COMPRESSED_RGB8_ETC2
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
+  'etc2-rgb8unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x9275}, // COMPRESSED_SRGB8_ETC2
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
+  'etc2-rgb8a1unorm': {
+    gl: {texStorage: true, sizedFormat: 0x9276}, // COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
+  'etc2-rgb8a1unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x9277}, // COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
   'etc2-rgba8unorm': {
     gl: {texStorage: true, sizedFormat: 0x9278}, // COMPRESSED_RGBA8_ETC2_EAC
     compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
   },
+  'etc2-rgba8unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x9279}, // COMPRESSED_SRGB8_ALPHA8_ETC2_EAC
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
+  'eac-r11unorm': {
+    gl: {texStorage: true, sizedFormat: 0x9270}, // COMPRESSED_R11_EAC
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
+  'eac-r11snorm': {
+    gl: {texStorage: true, sizedFormat: 0x9271}, // COMPRESSED_SIGNED_R11_EAC
+    compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
+  },
+  'eac-rg11unorm': {
+    gl: {texStorage: true, sizedFormat: 0x9272}, // COMPRESSED_RG11_EAC
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
+  'eac-rg11snorm': {
+    gl: {texStorage: true, sizedFormat: 0x9273}, // COMPRESSED_SIGNED_RG11_EAC
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
   'astc-4x4-rgba-unorm': {
     gl: {texStorage: true, sizedFormat: 0x93B0}, // COMPRESSED_RGBA_ASTC_4x4_KHR
     compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
   },
+  'astc-4x4-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D0}, // COMPRESSED_SRGB8_ALPHA8_ASTC_4x4_KHR
+    compressed: {blockBytes: 16, blockWidth: 4, blockHeight: 4},
+  },
+  'astc-5x4-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93B1}, // COMPRESSED_RGBA_ASTC_5x4_KHR
+    compressed: {blockBytes: 16, blockWidth: 5, blockHeight: 4},
+  },
+  'astc-5x4-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D1}, // COMPRESSED_SRGB8_ALPHA8_ASTC_5x4_KHR
+    compressed: {blockBytes: 16, blockWidth: 5, blockHeight: 4},
+  },
+  'astc-5x5-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93B2}, // COMPRESSED_RGBA_ASTC_5x5_KHR
+    compressed: {blockBytes: 16, blockWidth: 5, blockHeight: 5},
+  },
+  'astc-5x5-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D2}, // COMPRESSED_SRGB8_ALPHA8_ASTC_5x5_KHR
+    compressed: {blockBytes: 16, blockWidth: 5, blockHeight: 5},
+  },
+  'astc-6x5-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93B3}, // COMPRESSED_RGBA_ASTC_6x5_KHR
+    compressed: {blockBytes: 16, blockWidth: 6, blockHeight: 5},
+  },
+  'astc-6x5-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D3}, // COMPRESSED_SRGB8_ALPHA8_ASTC_6x5_KHR
+    compressed: {blockBytes: 16, blockWidth: 6, blockHeight: 5},
+  },
+  'astc-6x6-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93B4}, // COMPRESSED_RGBA_ASTC_6x6_KHR
+    compressed: {blockBytes: 16, blockWidth: 6, blockHeight: 6},
+  },
+  'astc-6x6-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D4}, // COMPRESSED_SRGB8_ALPHA8_ASTC_6x6_KHR
+    compressed: {blockBytes: 16, blockWidth: 6, blockHeight: 6},
+  },
+  'astc-8x5-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93B5}, // COMPRESSED_RGBA_ASTC_8x5_KHR
+    compressed: {blockBytes: 16, blockWidth: 8, blockHeight: 5},
+  },
+  'astc-8x5-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D5}, // COMPRESSED_SRGB8_ALPHA8_ASTC_8x5_KHR
+    compressed: {blockBytes: 16, blockWidth: 8, blockHeight: 5},
+  },
+  'astc-8x6-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93B6}, // COMPRESSED_RGBA_ASTC_8x6_KHR
+    compressed: {blockBytes: 16, blockWidth: 8, blockHeight: 6},
+  },
+  'astc-8x6-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D6}, // COMPRESSED_SRGB8_ALPHA8_ASTC_8x6_KHR
+    compressed: {blockBytes: 16, blockWidth: 8, blockHeight: 6},
+  },
+  'astc-8x8-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93B7}, // COMPRESSED_RGBA_ASTC_8x8_KHR
+    compressed: {blockBytes: 16, blockWidth: 8, blockHeight: 8},
+  },
+  'astc-8x8-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D7}, // COMPRESSED_SRGB8_ALPHA8_ASTC_8x8_KHR
+    compressed: {blockBytes: 16, blockWidth: 8, blockHeight: 8},
+  },
+  'astc-10x5-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93B8}, // COMPRESSED_RGBA_ASTC_10x5_KHR
+    compressed: {blockBytes: 16, blockWidth: 10, blockHeight: 5},
+  },
+  'astc-10x5-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D8}, // COMPRESSED_SRGB8_ALPHA8_ASTC_10x5_KHR
+    compressed: {blockBytes: 16, blockWidth: 10, blockHeight: 5},
+  },
+  'astc-10x6-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93B9}, // COMPRESSED_RGBA_ASTC_10x6_KHR
+    compressed: {blockBytes: 16, blockWidth: 10, blockHeight: 6},
+  },
+  'astc-10x6-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93D9}, // COMPRESSED_SRGB8_ALPHA8_ASTC_10x6_KHR
+    compressed: {blockBytes: 16, blockWidth: 10, blockHeight: 6},
+  },
+  'astc-10x8-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93BA}, // COMPRESSED_RGBA_ASTC_10x8_KHR
+    compressed: {blockBytes: 16, blockWidth: 10, blockHeight: 8},
+  },
+  'astc-10x8-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93DA}, // COMPRESSED_SRGB8_ALPHA8_ASTC_10x8_KHR
+    compressed: {blockBytes: 16, blockWidth: 10, blockHeight: 8},
+  },
+  'astc-10x10-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93BB}, // COMPRESSED_RGBA_ASTC_10x10_KHR
+    compressed: {blockBytes: 16, blockWidth: 10, blockHeight: 10},
+  },
+  'astc-10x10-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93DB}, // COMPRESSED_SRGB8_ALPHA8_ASTC_10x10_KHR
+    compressed: {blockBytes: 16, blockWidth: 10, blockHeight: 10},
+  },
+  'astc-12x10-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93BC}, // COMPRESSED_RGBA_ASTC_12x10_KHR
+    compressed: {blockBytes: 16, blockWidth: 12, blockHeight: 10},
+  },
+  'astc-12x10-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93DC}, // COMPRESSED_SRGB8_ALPHA8_ASTC_12x10_KHR
+    compressed: {blockBytes: 16, blockWidth: 12, blockHeight: 10},
+  },
+  'astc-12x12-rgba-unorm': {
+    gl: {texStorage: true, sizedFormat: 0x93BD}, // COMPRESSED_RGBA_ASTC_12x12_KHR
+    compressed: {blockBytes: 16, blockWidth: 12, blockHeight: 12},
+  },
+  'astc-12x12-rgba-unorm-srgb': {
+    gl: {texStorage: true, sizedFormat: 0x93DD}, // COMPRESSED_SRGB8_ALPHA8_ASTC_12x12_KHR
+    compressed: {blockBytes: 16, blockWidth: 12, blockHeight: 12},
+  },
+  'pvrtc1-2bpp-rgb-unorm': {
+    gl: {texStorage: false, sizedFormat: 0x8C01}, // COMPRESSED_RGB_PVRTC_2BPPV1_IMG
+    compressed: {blockBytes: 8, blockWidth: 8, blockHeight: 4},
+  },
+  'pvrtc1-2bpp-rgba-unorm': {
+    gl: {texStorage: false, sizedFormat: 0x8C03}, // COMPRESSED_RGBA_PVRTC_2BPPV1_IMG
+    compressed: {blockBytes: 8, blockWidth: 8, blockHeight: 4},
+  },
   'pvrtc1-4bpp-rgb-unorm': {
     gl: {texStorage: false, sizedFormat: 0x8C00}, // COMPRESSED_RGB_PVRTC_4BPPV1_IMG
     compressed: {blockBytes: 8, blockWidth: 4, blockHeight: 4},
@@ -9,7 +9,7 @@
  */
 
 import {ImageLoader} from './image-loader.js';
-import {WorkerLoader} from './worker-loader.js';
+import {WorkerLoader, configureWorkerPoolDefaults} from './worker-loader.js';
 import {WebTextureFormat} from './texture-format.js';
 
 /**
@@ -21,6 +21,11 @@ import {WebTextureFormat} from './texture-format.js';
  * @property {number} depth of mip level 0 in pixels.
  * @property {number} mipLevels - Number of mip levels the texture contains.
  * @property {WebTextureFormat} format - Format of the texture.
+ * @property {string|null} orientation - Orientation of the image data given by the file, such as `'rd'` if the first
+ * row of the image is the top or `'ru'` if it's the bottom. Null if the file doesn't specify one.
+ * @property {string|null} swizzle - Channel swizzle that should be applied when sampling the texture, such as `'rrr1'`.
+ * Null if no swizzle is needed.
+ * @property {boolean} premultipliedAlpha - True if the color channels of the texture are premultiplied by alpha.
  */
 export class WebTextureResult {
   /**
@@ -41,6 +46,9 @@ export class WebTextureResult {
     this.mipLevels = description.mipLevels || 1;
     this.format = description.format || 'rgba8unorm';
     this.type = description.type || '2d';
+    this.orientation = description.orientation || null;
+    this.swizzle = description.swizzle || null;
+    this.premultipliedAlpha = !!description.premultipliedAlpha;
   }
 
   get glFormat() {
@@ -133,27 +141,52 @@ class ExtensionHandler {
   /**
    * Creates an ExtensionHandler.
    *
-   * @param {Array<string>} extensions - List of extensions that this loader can handle.
+   * @param {Array<string>} mimeTypes - List of MIME types that this loader can handle.
    * @param {Function} callback - Callback which returns an instance of the loader.
+   * @param {boolean} [ownsLoader=true] - Whether the loader returned by the callback should be destroyed once it's no
+   * longer being used. Should be false if the loader instance was provided by the application.
    */
-  constructor(mimeTypes, callback) {
+  constructor(mimeTypes, callback, ownsLoader = true) {
     this.mimeTypes = mimeTypes;
     this.callback = callback;
+    this.ownsLoader = ownsLoader;
     this.loader = null;
+    // Every WebTextureTool instance which is currently using the loader.
+    this.users = new Set();
   }
 
   /**
    * Gets the loader associated with this extension set. Creates an instance by calling the callback if one hasn't been
    * instantiated previously.
    *
+   * @param {object} user - The WebTextureTool instance requesting the loader. The loader will be kept alive until every
+   * user has released it.
    * @returns {object} Texture Loader instance.
    */
-  getLoader() {
+  getLoader(user) {
     if (!this.loader) {
       this.loader = this.callback();
     }
+    this.users.add(user);
     return this.loader;
   }
+
+  /**
+   * Indicates that the given user no longer needs the loader. Once no users remain the loader is destroyed, and a new
+   * one will be created if it's needed again.
+   *
+   * @param {object} user - The WebTextureTool instance releasing the loader.
+   * @returns {void}
+   */
+  releaseLoader(user) {
+    if (!this.users.delete(user) || this.users.size) {
+      return;
+    }
+    if (this.loader && this.ownsLoader) {
+      this.loader.destroy();
+    }
+    this.loader = null;
+  }
 }
 
 const EXTENSION_MIME_TYPES = {
@@ -164,6 +197,7 @@ const EXTENSION_MIME_TYPES = {
   gif: 'image/gif',
   bmp: 'image/bmp',
   webp: 'image/webp',
+  avif: 'image/avif',
   ico: 'image/x-icon',
   cur: 'image/x-icon',
   svg: 'image/svg+xml',
@@ -171,17 +205,147 @@ const EXTENSION_MIME_TYPES = {
   ktx: 'image/ktx',
   ktx2: 'image/ktx2',
   dds: 'image/vnd.ms-dds',
+  hdr: 'image/vnd.radiance',
+  exr: 'image/x-exr',
+  tga: 'image/x-tga',
+  pvr: 'image/x-pvr',
+  astc: 'image/x-astc',
+  pkm: 'image/x-pkm',
 };
 
+/**
+ * Converts an ASCII string to an array of byte values, for describing file signatures.
+ *
+ * @param {string} str - ASCII string.
+ * @returns {Array<number>} - Byte values of each character.
+ */
+function ascii(str) {
+  return Array.from(str, (c) => c.charCodeAt(0));
+}
+
+// Byte signatures which identify a file's type regardless of it's extension. Each signature is a list of byte sequences
+// and the offset into the file that they must appear at.
+const FILE_SIGNATURES = [
+  {mimeType: 'image/vnd.ms-dds', magic: [[0, ascii('DDS ')]]},
+  {mimeType: 'image/ktx', magic: [[0, [0xAB, ...ascii('KTX 11'), 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]]]},
+  {mimeType: 'image/ktx2', magic: [[0, [0xAB, ...ascii('KTX 20'), 0xBB, 0x0D, 0x0A, 0x1A, 0x0A]]]},
+  {mimeType: 'image/basis', magic: [[0, ascii('sB')]]},
+  {mimeType: 'image/png', magic: [[0, [0x89, ...ascii('PNG'), 0x0D, 0x0A, 0x1A, 0x0A]]]},
+  {mimeType: 'image/jpeg', magic: [[0, [0xFF, 0xD8, 0xFF]]]},
+  {mimeType: 'image/gif', magic: [[0, ascii('GIF87a')]]},
+  {mimeType: 'image/gif', magic: [[0, ascii('GIF89a')]]},
+  {mimeType: 'image/webp', magic: [[0, ascii('RIFF')], [8, ascii('WEBP')]]},
+  {mimeType: 'image/avif', magic: [[4, ascii('ftypavif')]]},
+  {mimeType: 'image/avif', magic: [[4, ascii('ftypavis')]]},
+  {mimeType: 'image/vnd.radiance', magic: [[0, ascii('#?RADIANCE')]]},
+  {mimeType: 'image/vnd.radiance', magic: [[0, ascii('#?RGBE')]]},
+  {mimeType: 'image/x-exr', magic: [[0, [0x76, 0x2F, 0x31, 0x01]]]},
+  {mimeType: 'image/x-pvr', magic: [[0, [...ascii('PVR'), 0x03]]]},
+  {mimeType: 'image/x-astc', magic: [[0, [0x13, 0xAB, 0xA1, 0x5C]]]},
+  {mimeType: 'image/x-pkm', magic: [[0, ascii('PKM ')]]},
+];
+
+// Number of bytes at the start of a file needed to match any of the signatures above.
+const SNIFF_LENGTH = 16;
+
+/**
+ * Determines a file's MIME type by examining the first few bytes of it's contents.
+ *
+ * @param {ArrayBuffer|module:External.ArrayBufferView} buffer - Buffer containing (at least) the start of the file.
+ * @returns {string|null} - MIME type of the file, or null if it wasn't recognized.
+ */
+function sniffMimeType(buffer) {
+  const bytes = buffer instanceof ArrayBuffer ?
+    new Uint8Array(buffer, 0, Math.min(buffer.byteLength, SNIFF_LENGTH)) :
+    new Uint8Array(buffer.buffer, buffer.byteOffset, Math.min(buffer.byteLength, SNIFF_LENGTH));
+
+  for (const signature of FILE_SIGNATURES) {
+    const matches = signature.magic.every(([offset, magic]) => {
+      if (offset + magic.length > bytes.length) {
+        return false;
+      }
+      return magic.every((value, i) => bytes[offset + i] == value);
+    });
+    if (matches) {
+      return signature.mimeType;
+    }
+  }
+  return null;
+}
+
+/**
+ * Determines the MIME type of the file at a URL without downloading all of it. Only the first few bytes of the response
+ * are read before the rest is cancelled, so that the file itself can be loaded by the appropriate loader, with progress
+ * reporting and caching, once its type is known.
+ *
+ * @param {string} url - Fully resolved URL of the file.
+ * @param {AbortSignal} [signal] - Signal which cancels the request when aborted.
+ * @returns {Promise<string|null>} - MIME type identified from the file's contents, or failing that the response's
+ * `Content-Type` header. Null if neither identified it.
+ */
+async function fetchMimeType(url, signal) {
+  const response = await fetch(url, {signal});
+  if (!response.ok) {
+    throw new Error(`Fetch failed: ${response.status}, ${response.statusText}`);
+  }
+
+  let header;
+  if (response.body) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let byteLength = 0;
+    while (byteLength < SNIFF_LENGTH) {
+      const {done, value} = await reader.read();
+      if (done) {
+        break;
+      }
+      chunks.push(value);
+      byteLength += value.byteLength;
+    }
+    reader.cancel();
+
+    header = new Uint8Array(byteLength);
+    let offset = 0;
+    for (const chunk of chunks) {
+      header.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+  } else {
+    header = await response.arrayBuffer();
+  }
+
+  const mimeType = sniffMimeType(header);
+  if (mimeType) {
+    return mimeType;
+  }
+  const contentType = response.headers.get('Content-Type');
+  return contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+}
+
 const EXTENSION_HANDLERS = [
   new ExtensionHandler(ImageLoader.supportedMIMETypes(), () => new ImageLoader()),
   new ExtensionHandler(['image/basis'], () => new WorkerLoader('workers/basis/basis-worker.js')),
   new ExtensionHandler(['image/ktx', 'image/ktx2'], () => new WorkerLoader('workers/ktx/ktx-worker.js')),
   new ExtensionHandler(['image/vnd.ms-dds'], () => new WorkerLoader('workers/dds-worker.js')),
+  new ExtensionHandler(['image/vnd.radiance'], () => new WorkerLoader('workers/hdr-worker.js')),
+  new ExtensionHandler(['image/x-exr'], () => new WorkerLoader('workers/exr-worker.js')),
+  new ExtensionHandler(['image/x-tga', 'image/x-targa'], () => new WorkerLoader('workers/tga-worker.js')),
+  new ExtensionHandler(['image/x-pvr'], () => new WorkerLoader('workers/pvr-worker.js')),
+  new ExtensionHandler(['image/x-astc'], () => new WorkerLoader('workers/astc-worker.js')),
+  new ExtensionHandler(['image/x-pkm'], () => new WorkerLoader('workers/pkm-worker.js')),
 ];
 
 const CLIENT = Symbol('wtt/WebTextureClient');
 const LOADERS = Symbol('wtt/WebTextureLoaders');
+const EXTENSIONS = Symbol('wtt/WebTextureExtensions');
+const USED_HANDLERS = Symbol('wtt/WebTextureUsedHandlers');
+const CACHE = Symbol('wtt/WebTextureCache');
+const CACHED_TEXTURES = Symbol('wtt/WebTextureCachedTextures');
+const PERSISTENT_CACHE = Symbol('wtt/WebTexturePersistentCache');
+
+// Must match the database name used in workers/worker-util.js.
+const PERSISTENT_CACHE_DB_NAME = 'web-texture-tool';
+const DEFAULT_PERSISTENT_CACHE_SIZE = 256 * 1024 * 1024; // 256MB
 
 const TMP_ANCHOR = document.createElement('a');
 const IMAGE_BITMAP_SUPPORTED = (typeof createImageBitmap !== 'undefined');
@@ -190,8 +354,101 @@ const DEFAULT_URL_OPTIONS = {
   mimeType: null,
   mipmaps: true,
   colorSpace: 'default',
+  signal: null,
+  onProgress: null,
+  priority: 0,
+  applySwizzle: false,
+  transcodeHint: null,
+  transcodePreference: 'default',
+  imageIndex: 0,
+  hdrFormat: 'rgba16float',
+  exrChannels: null,
 };
 
+const DEFAULT_MANIFEST_CONCURRENCY = 8;
+
+// Texture options which affect the texture produced for a given URL, and so must be part of the cache key.
+const CACHE_KEY_OPTIONS = [
+  'mimeType', 'mipmaps', 'colorSpace', 'applySwizzle', 'transcodeHint', 'transcodePreference', 'imageIndex',
+  'hdrFormat', 'exrChannels'];
+
+/**
+ * Tracks a texture shared between every caller that acquired the same URL with equivalent options.
+ */
+class TextureCacheEntry {
+  /**
+   * Creates a TextureCacheEntry.
+   *
+   * @param {string} key - Key that the entry is stored under in the cache.
+   */
+  constructor(key) {
+    this.key = key;
+    this.refCount = 0;
+    this.result = null;
+    this.promise = null;
+    // Used to cancel the load if every reference is released before it completes.
+    this.controller = new AbortController();
+  }
+}
+
+/**
+ * Builds the key used to identify a cached texture.
+ *
+ * @param {TextureLoaderBase} wtt - Loader that the texture is being acquired from.
+ * @param {string} url - Fully resolved URL of the texture.
+ * @param {object} options - Options the texture is being loaded with.
+ * @returns {string} - Cache key.
+ */
+function getCacheKey(wtt, url, options) {
+  const keyOptions = CACHE_KEY_OPTIONS.map((name) => options[name]);
+  // Compressed format support changes which format the texture ends up in.
+  keyOptions.push(wtt.allowCompressedFormats);
+  return `${url}|${JSON.stringify(keyOptions)}`;
+}
+
+/**
+ * Drops one reference to a cached texture. Once no references remain the texture is destroyed, or the load is cancelled
+ * if it hasn't finished yet.
+ *
+ * @param {TextureLoaderBase} wtt - Loader that owns the cache.
+ * @param {TextureCacheEntry} entry - Entry to release.
+ * @returns {void}
+ */
+function releaseCacheEntry(wtt, entry) {
+  entry.refCount--;
+  if (entry.refCount > 0) {
+    return;
+  }
+
+  if (wtt[CACHE].get(entry.key) == entry) {
+    wtt[CACHE].delete(entry.key);
+  }
+
+  if (entry.result) {
+    wtt[CACHED_TEXTURES].delete(entry.result.texture);
+    if (wtt[CLIENT]) {
+      wtt[CLIENT].destroyTexture(entry.result.texture);
+    }
+  } else {
+    entry.controller.abort();
+  }
+}
+
+/**
+ * Normalizes the persistentCache option, which may be given as a boolean or an object.
+ *
+ * @param {boolean|object} value - Value of the persistentCache option.
+ * @returns {object|null} - Persistent cache settings, or null if the persistent cache should not be used.
+ */
+function getPersistentCacheOptions(value) {
+  if (!value) {
+    return null;
+  }
+  return {
+    maxSize: value.maxSize || DEFAULT_PERSISTENT_CACHE_SIZE,
+  };
+}
+
 function getMimeTypeLoader(wtt, mimeType) {
   if (!mimeType) {
     throw new Error('A valid MIME type must be specified.');
@@ -201,16 +458,65 @@ function getMimeTypeLoader(wtt, mimeType) {
   if (!typeHandler) {
     typeHandler = wtt[LOADERS]['*'];
   }
+  if (!typeHandler) {
+    throw new Error(`No loader registered for MIME type "${mimeType}"`);
+  }
 
   // Get the appropriate loader for the extension. Will instantiate the loader instance the first time it's
   // used.
-  const loader = typeHandler.getLoader();
+  const loader = typeHandler.getLoader(wtt);
+  // Tracked separately from the MIME type map so that handlers are still released on destroy if they're unregistered.
+  wtt[USED_HANDLERS].add(typeHandler);
   if (!loader) {
     throw new Error(`Failed to get loader for MIME type "${mimeType}"`);
   }
   return loader;
 }
 
+/**
+ * Gets the worker-based loader for the given MIME type, instantiating it if needed.
+ *
+ * @param {TextureLoaderBase} wtt - Loader that the MIME type is registered with.
+ * @param {string} mimeType - MIME type handled by the worker pool.
+ * @returns {WorkerLoader} - Loader that operates the worker pool.
+ */
+function getWorkerPoolLoader(wtt, mimeType) {
+  const loader = getMimeTypeLoader(wtt, mimeType);
+  if (!(loader instanceof WorkerLoader)) {
+    throw new Error(`Loader for MIME type "${mimeType}" does not use a worker pool`);
+  }
+  return loader;
+}
+
+/**
+ * Options for how a loaded texture should be handled
+ *
+ * @typedef {object} TextureOptions
+ * @property {AbortSignal} [signal] - Signal which cancels the load when aborted. The returned promise
+ * rejects with an `AbortError` and no texture is created.
+ * @property {Function} [onProgress] - Called with a progress object as the load advances. The object's
+ * `stage` is one of `'downloading'`, `'fetched'`, `'transcoding'`, or `'uploaded'`.
+ * @property {number|object} [priority=0] - Textures with a higher priority are fetched and transcoded
+ * first when several are waiting. May be an object with a numeric `value`, which can be changed while the load is
+ * waiting to start.
+ * @property {boolean} [applySwizzle=false] - Rearrange the channels of uncompressed textures as described
+ * by any swizzle in the file. Swizzles that can't be applied are reported in the result's `swizzle` instead.
+ * @property {string} [transcodeHint] - What a Basis Universal texture contains: `'color'`, `'normal'`,
+ * or `'mask'`. Used to pick the format it's transcoded to. If not given it's inferred from the file.
+ * @property {string} [transcodePreference='default'] - `'quality'` or `'size'` to favor the best looking
+ * or smallest formats when transcoding Basis Universal textures.
+ * @property {number} [imageIndex=0] - Which image to load from Basis Universal files that contain several
+ * separate images or video frames.
+ * @property {string} [hdrFormat='rgba16float'] - Format to decode Radiance HDR and four channel OpenEXR
+ * files to, `'rgba16float'` or `'rgba32float'`. The other is used if the preferred one isn't supported, then
+ * `'rg11b10ufloat'` for HDR files.
+ * @property {string|Array<string>} [exrChannels] - Which channels of an OpenEXR file to load. Either a
+ * list of up to four channel names, or the name of a layer to load the RGBA channels of. By default the RGBA channels
+ * of the file's default layer are loaded.
+ * @property {boolean|object} [persistentCache] - Overrides the loader's `persistentCache` setting for
+ * this texture. Only used when loading from a URL.
+ */
+
 /**
  * Base texture loader class.
  * Must not be used directly, create an instance of WebGLTextureLoader or WebGPUTextureLoader instead.
@@ -221,10 +527,19 @@ export class TextureLoaderBase {
    * Create an instance of WebGLTextureTool or WebGPUTextureTool as needed instead.
    *
    * @param {object} client - The WebTextureClient which will upload the texture data to the GPU.
+   * @param {object} [toolOptions] - Options to initialize this WebTextureTool instance with.
+   * @param {boolean|object} [toolOptions.persistentCache] - Store transcoded textures loaded from URLs in IndexedDB
+   * so that later page loads can skip transcoding them. May be an object with a `maxSize` (in bytes) to limit how much
+   * storage is used. Defaults to 256MB.
    */
-  constructor(client) {
+  constructor(client, toolOptions = {}) {
     this[CLIENT] = client;
+    this[PERSISTENT_CACHE] = getPersistentCacheOptions(toolOptions.persistentCache);
     this[LOADERS] = {};
+    this[EXTENSIONS] = Object.assign({}, EXTENSION_MIME_TYPES);
+    this[USED_HANDLERS] = new Set();
+    this[CACHE] = new Map();
+    this[CACHED_TEXTURES] = new Map();
 
     // Map every available extension to it's associated handler
     for (const extensionHandler of EXTENSION_HANDLERS) {
@@ -238,10 +553,75 @@ export class TextureLoaderBase {
     this[LOADERS]['*'] = EXTENSION_HANDLERS[0];
   }
 
+  /**
+   * Registers a loader for one or more MIME types and file extensions. Registration only affects this instance, and
+   * will override any previously registered loader (including the built-in ones) for the same MIME types and
+   * extensions.
+   *
+   * @param {object} loaderOptions - Describes the loader to register.
+   * @param {Array<string>} loaderOptions.mimeTypes - MIME types that the loader handles. Use `'*'` to replace the
+   * loader used for unrecognized types.
+   * @param {Array<string>} [loaderOptions.extensions] - File extensions that the loader handles. Each will be mapped to
+   * the first entry of `mimeTypes`.
+   * @param {object|Function} [loaderOptions.loader] - A loader instance which implements `fromUrl`, `fromBlob`,
+   * `fromBuffer`, and `destroy`, or a function which returns one. Functions are called the first time the loader is
+   * needed.
+   * @param {string} [loaderOptions.workerPath] - URL of a worker script built on `workers/worker-util.js`. Used to
+   * create a worker-based loader if `loader` is not given. Relative paths are resolved against the library's directory.
+   * @returns {void}
+   */
+  registerLoader(loaderOptions) {
+    const mimeTypes = loaderOptions.mimeTypes;
+    if (!mimeTypes || !mimeTypes.length) {
+      throw new Error('At least one MIME type must be specified when registering a loader.');
+    }
+
+    let callback;
+    let ownsLoader = true;
+    if (typeof loaderOptions.loader == 'function') {
+      callback = loaderOptions.loader;
+    } else if (loaderOptions.loader) {
+      callback = () => loaderOptions.loader;
+      ownsLoader = false;
+    } else if (loaderOptions.workerPath) {
+      callback = () => new WorkerLoader(loaderOptions.workerPath);
+    } else {
+      throw new Error('Either a loader or a workerPath must be specified when registering a loader.');
+    }
+
+    const extensionHandler = new ExtensionHandler(mimeTypes, callback, ownsLoader);
+    for (const mimeType of mimeTypes) {
+      this[LOADERS][mimeType] = extensionHandler;
+    }
+
+    if (loaderOptions.extensions) {
+      for (const extension of loaderOptions.extensions) {
+        this[EXTENSIONS][extension.toLowerCase()] = mimeTypes[0];
+      }
+    }
+  }
+
+  /**
+   * Removes the loader associated with the given MIME type from this instance, along with any extensions mapped to it.
+   * Files which are still explicitly given that MIME type will be handled by the fallback loader afterwards.
+   *
+   * @param {string} mimeType - MIME type to remove the loader for.
+   * @returns {void}
+   */
+  unregisterLoader(mimeType) {
+    delete this[LOADERS][mimeType];
+
+    for (const extension of Object.keys(this[EXTENSIONS])) {
+      if (this[EXTENSIONS][extension] == mimeType) {
+        delete this[EXTENSIONS][extension];
+      }
+    }
+  }
+
   /** Loads a texture from the given URL
    *
    * @param {string} url - URL of the file to load.
-   * @param {object} textureOptions - Options for how the loaded texture should be handled.
+   * @param {TextureOptions} textureOptions - Options for how the loaded texture should be handled.
    * @returns {Promise<WebTextureResult>} - Promise which resolves to the completed WebTextureResult.
    */
   async fromUrl(url, textureOptions) {
@@ -250,26 +630,204 @@ export class TextureLoaderBase {
     }
 
     const options = Object.assign({}, DEFAULT_URL_OPTIONS, textureOptions);
+    options.persistentCache = options.persistentCache === undefined ?
+      this[PERSISTENT_CACHE] : getPersistentCacheOptions(options.persistentCache);
 
     // Use this to resolve to a full URL.
     TMP_ANCHOR.href = url;
+    const resolvedUrl = TMP_ANCHOR.href;
 
-    // If an explicit extension wasn't provided, examine the URL to determine one.
-    if (!options.mimeType) {
-      // Isolate just the pathname from the given URL, then split the extension off of that.
-      const extIndex = TMP_ANCHOR.pathname.lastIndexOf('.');
-      const extension = extIndex > -1 ? TMP_ANCHOR.pathname.substring(extIndex+1).toLowerCase() : '*';
-      options.mimeType = EXTENSION_MIME_TYPES[extension];
+    // An explicit MIME type is always trusted.
+    if (options.mimeType) {
+      const loader = getMimeTypeLoader(this, options.mimeType);
+      return loader.fromUrl(this[CLIENT], resolvedUrl, options);
     }
 
-    const loader = getMimeTypeLoader(this, options.mimeType);
-    return loader.fromUrl(this[CLIENT], TMP_ANCHOR.href, options);
+    // Isolate just the pathname from the given URL, then split the extension off of that.
+    const extIndex = TMP_ANCHOR.pathname.lastIndexOf('.');
+    const extension = extIndex > -1 ? TMP_ANCHOR.pathname.substring(extIndex+1).toLowerCase() : '*';
+    const extensionMimeType = this[EXTENSIONS][extension];
+
+    // If the URL didn't identify the file type look at the start of the file to find out.
+    if (!extensionMimeType) {
+      options.mimeType = await fetchMimeType(resolvedUrl, options.signal);
+      const loader = getMimeTypeLoader(this, options.mimeType);
+      return loader.fromUrl(this[CLIENT], resolvedUrl, options);
+    }
+
+    try {
+      const loader = getMimeTypeLoader(this, extensionMimeType);
+      return await loader.fromUrl(this[CLIENT], resolvedUrl, Object.assign({}, options, {mimeType: extensionMimeType}));
+    } catch (err) {
+      if (!this[CLIENT] || (options.signal && options.signal.aborted)) {
+        throw err;
+      }
+
+      // The extension may be wrong, so check whether the file's contents identify a different type before giving up.
+      let mimeType = null;
+      try {
+        mimeType = await fetchMimeType(resolvedUrl, options.signal);
+      } catch (fetchErr) {
+        // Report the original failure instead.
+      }
+      if (!mimeType || mimeType == extensionMimeType || !this[LOADERS][mimeType]) {
+        throw err;
+      }
+
+      options.mimeType = mimeType;
+      const loader = getMimeTypeLoader(this, options.mimeType);
+      return loader.fromUrl(this[CLIENT], resolvedUrl, options);
+    }
+  }
+
+  /**
+   * Loads every texture in a manifest, with a limited number of loads in progress at once. Unlike calling `fromUrl` for
+   * each entry, a failure to load one texture doesn't prevent the rest from loading.
+   *
+   * @param {Array<string|object>} entries - Textures to load. Each entry is either a URL, or an object with a `url` and
+   * any texture options that should apply to that texture only (such as `mipmaps`, `colorSpace`, or `mimeType`).
+   * @param {object} [manifestOptions] - Texture options applied to every entry, plus the options below.
+   * @param {number} [manifestOptions.concurrency=8] - Maximum number of textures to load at once.
+   * @param {Function} [manifestOptions.onProgress] - Called each time an entry finishes loading with an object
+   * containing the number of entries `completed` (successfully or not), the number that `failed`, and the `total`.
+   * @returns {Promise<Array<object>>} - Resolves once every entry has finished loading to an array with a record for
+   * each entry, in the same order. Each record has the entry's `url` and a `status` of either `'fulfilled'`, with the
+   * WebTextureResult as `result`, or `'rejected'`, with the reason as `error`.
+   */
+  async fromManifest(entries, manifestOptions = {}) {
+    const {concurrency = DEFAULT_MANIFEST_CONCURRENCY, onProgress, ...sharedOptions} = manifestOptions;
+
+    const records = new Array(entries.length);
+    let nextIndex = 0;
+    let completed = 0;
+    let failed = 0;
+
+    const loadNext = async () => {
+      while (nextIndex < entries.length) {
+        const index = nextIndex++;
+        const entry = entries[index];
+        const {url, ...entryOptions} = typeof entry == 'string' ? {url: entry} : entry;
+
+        try {
+          const result = await this.fromUrl(url, Object.assign({}, sharedOptions, entryOptions));
+          records[index] = {url, status: 'fulfilled', result};
+        } catch (error) {
+          records[index] = {url, status: 'rejected', error};
+          failed++;
+        }
+
+        completed++;
+        if (onProgress) {
+          onProgress({completed, failed, total: entries.length});
+        }
+      }
+    };
+
+    const loadCount = Math.max(1, Math.min(concurrency, entries.length));
+    await Promise.all(Array.from({length: loadCount}, loadNext));
+
+    return records;
+  }
+
+  /**
+   * Loads textures from each of the given URLs with the same options. See `fromManifest()` for details.
+   *
+   * @param {Array<string>} urls - URLs of the files to load.
+   * @param {object} [textureOptions] - Options for how the loaded textures should be handled, which may include
+   * `concurrency` and `onProgress` as described by `fromManifest()`.
+   * @returns {Promise<Array<object>>} - Resolves to a record for each URL, in the same order.
+   */
+  async fromUrls(urls, textureOptions) {
+    return this.fromManifest(urls, textureOptions);
+  }
+
+  /**
+   * Loads a texture from the given URL through the texture cache. Every call with the same URL and equivalent options
+   * shares a single load and resolves to the same WebTextureResult. Each call acquires a reference to the texture which
+   * must be returned with `release()`, and the texture is destroyed once every reference has been released.
+   *
+   * @param {string} url - URL of the file to load.
+   * @param {TextureOptions} textureOptions - Options for how the loaded texture should be handled. `onProgress` is not
+   * supported for cached textures.
+   * @param {AbortSignal} [textureOptions.signal] - Signal which cancels this caller's request when aborted. The shared
+   * load is only cancelled if no other references to it remain.
+   * @returns {Promise<WebTextureResult>} - Promise which resolves to the shared WebTextureResult.
+   */
+  async acquire(url, textureOptions) {
+    if (!this[CLIENT]) {
+      throw new Error('Cannot create new textures after object has been destroyed.');
+    }
+
+    const options = Object.assign({}, DEFAULT_URL_OPTIONS, textureOptions);
+
+    TMP_ANCHOR.href = url;
+    const key = getCacheKey(this, TMP_ANCHOR.href, options);
+
+    let entry = this[CACHE].get(key);
+    if (!entry) {
+      entry = new TextureCacheEntry(key);
+      this[CACHE].set(key, entry);
+
+      const sharedOptions = Object.assign({}, options, {signal: entry.controller.signal, onProgress: null});
+      entry.promise = this.fromUrl(url, sharedOptions).then((result) => {
+        entry.result = result;
+        this[CACHED_TEXTURES].set(result.texture, entry);
+        return result;
+      }, (err) => {
+        if (this[CACHE].get(key) == entry) {
+          this[CACHE].delete(key);
+        }
+        throw err;
+      });
+      // Every caller handles rejections on their own promise, so don't report the shared one as unhandled.
+      entry.promise.catch(() => {});
+    }
+    entry.refCount++;
+
+    const signal = options.signal;
+    if (!signal) {
+      return entry.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(new DOMException('Texture load was aborted.', 'AbortError'));
+        releaseCacheEntry(this, entry);
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort);
+      entry.promise.then((result) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      }, (err) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Releases a reference to a texture obtained from `acquire()`. When the last reference is released the texture is
+   * destroyed and removed from the cache.
+   *
+   * @param {WebTextureResult} result - Result returned by `acquire()`.
+   * @returns {void}
+   */
+  release(result) {
+    const entry = this[CACHED_TEXTURES].get(result.texture);
+    if (!entry) {
+      throw new Error('Texture was not acquired from this loader\'s cache, or has already been released.');
+    }
+    releaseCacheEntry(this, entry);
   }
 
   /** Loads a texture from the given blob
    *
    * @param {Blob} blob - Blob containing the texture file data.
-   * @param {object} textureOptions - Options for how the loaded texture should be handled.
+   * @param {TextureOptions} textureOptions - Options for how the loaded texture should be handled.
    * @returns {Promise<WebTextureResult>} - Promise which resolves to the completed WebTextureResult.
    */
   async fromBlob(blob, textureOptions) {
@@ -279,14 +837,26 @@ export class TextureLoaderBase {
 
     const options = Object.assign({}, DEFAULT_URL_OPTIONS, textureOptions);
 
-    const loader = getMimeTypeLoader(this, blob.type);
+    // Prefer the type identified by the file contents over the blob's type, which is frequently missing or generic.
+    if (!options.mimeType) {
+      const header = await blob.slice(0, SNIFF_LENGTH).arrayBuffer();
+      options.mimeType = sniffMimeType(header) || blob.type;
+    }
+
+    if (!options.mimeType && options.filename) {
+      const extIndex = options.filename.lastIndexOf('.');
+      const extension = extIndex > -1 ? options.filename.substring(extIndex+1).toLowerCase() : null;
+      options.mimeType = this[EXTENSIONS][extension];
+    }
+
+    const loader = getMimeTypeLoader(this, options.mimeType);
     return loader.fromBlob(this[CLIENT], blob, options);
   }
 
   /** Loads a texture from the given blob
    *
    * @param {ArrayBuffer|ArrayBufferView} buffer - Buffer containing the texture file data.
-   * @param {object} textureOptions - Options for how the loaded texture should be handled.
+   * @param {TextureOptions} textureOptions - Options for how the loaded texture should be handled.
    * @returns {Promise<WebTextureResult>} - Promise which resolves to the completed WebTextureResult.
    */
   async fromBuffer(buffer, textureOptions) {
@@ -296,10 +866,14 @@ export class TextureLoaderBase {
 
     const options = Object.assign({}, DEFAULT_URL_OPTIONS, textureOptions);
 
+    if (!options.mimeType) {
+      options.mimeType = sniffMimeType(buffer);
+    }
+
     if (!options.mimeType && options.filename) {
       const extIndex = options.filename.lastIndexOf('.');
       const extension = extIndex > -1 ? options.filename.substring(extIndex+1).toLowerCase() : null;
-      options.mimeType = EXTENSION_MIME_TYPES[extension];
+      options.mimeType = this[EXTENSIONS][extension];
     }
 
     const loader = getMimeTypeLoader(this, options.mimeType);
@@ -382,6 +956,70 @@ export class TextureLoaderBase {
     return this[CLIENT].fromTextureData(new WebTextureData('rgba8unorm', width, height, data), false);
   }
 
+  /**
+   * Changes the default settings for every worker pool. Worker pools are shared between all loader instances, with one
+   * pool for each worker-based file type (Basis, KTX, DDS, etc.)
+   *
+   * @param {object} options - Settings to change.
+   * @param {number} [options.maxWorkers=4] - Maximum number of workers in each pool.
+   * @param {number} [options.maxActiveRequests=8] - Maximum number of requests each pool processes at once.
+   * @param {number} [options.idleTimeout=60000] - Milliseconds before a worker with no requests is terminated, or 0 to
+   * never terminate idle workers.
+   * @returns {void}
+   */
+  static configureWorkerPools(options) {
+    configureWorkerPoolDefaults(options);
+  }
+
+  /**
+   * Changes the settings of the worker pool which handles the given MIME type, overriding the defaults set with
+   * `configureWorkerPools()`.
+   *
+   * @param {string} mimeType - MIME type handled by the worker pool, such as `'image/ktx2'`.
+   * @param {object} options - Settings to change. Accepts the same settings as `configureWorkerPools()`.
+   * @returns {void}
+   */
+  configureWorkerPool(mimeType, options) {
+    getWorkerPoolLoader(this, mimeType).configure(options);
+  }
+
+  /**
+   * Starts the workers for the given MIME type ahead of time, so that they are ready by the time they're needed.
+   *
+   * @param {string} mimeType - MIME type handled by the worker pool, such as `'image/ktx2'`.
+   * @param {number} [count=1] - Number of workers the pool should have.
+   * @returns {void}
+   */
+  prewarmWorkers(mimeType, count = 1) {
+    getWorkerPoolLoader(this, mimeType).prewarm(count);
+  }
+
+  /**
+   * Returns statistics for the worker pool which handles the given MIME type.
+   *
+   * @param {string} mimeType - MIME type handled by the worker pool, such as `'image/ktx2'`.
+   * @returns {object} - The number of `workers`, `activeRequests`, `queuedRequests`, and `completedRequests`, and the
+   * `averageRequestTime` in milliseconds.
+   */
+  getWorkerPoolStats(mimeType) {
+    return getWorkerPoolLoader(this, mimeType).getStats();
+  }
+
+  /**
+   * Removes every texture from the persistent cache. Affects all loaders on the page, since they share the same
+   * storage.
+   *
+   * @returns {Promise<void>} - Resolves once the cache has been cleared.
+   */
+  clearPersistentCache() {
+    return new Promise((resolve, reject) => {
+      // Workers close their connection to the database when asked, so this won't remain blocked.
+      const request = indexedDB.deleteDatabase(PERSISTENT_CACHE_DB_NAME);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Sets whether or not compressed formats should be loaded.
    * If `false` and a compressed texture can be transcoded to an uncompressed format it will be, otherwise it will be
@@ -422,26 +1060,40 @@ export class TextureLoaderBase {
   }
 
   /**
-   * Destroys the texture tool and stops any in-progress texture loads that have been started.
+   * Destroys the texture tool and stops any in-progress texture loads that have been started. The promises for those
+   * loads are rejected. Textures returned by `acquire()` are destroyed as well, and must not be released afterwards.
    *
    * @returns {void}
    */
   destroy() {
     if (this[CLIENT]) {
-      this[CLIENT].destroy();
-      this[CLIENT] = null;
+      const client = this[CLIENT];
+      const destroyedError = new Error('Texture loader was destroyed.');
 
-      // TODO: Should this happen?
-      // Would have to make sure every instance had it's own copies of the loaders.
-      // Shut down every loader that this class has initialized.
-      /*
-      for (const extensionHandler of this[LOADERS]) { // Doesn't work
-        if (extensionHandler.loader) {
-          extensionHandler.loader.destroy();
-          extensionHandler.loader = null;
+      // Loaders may be shared with other instances, so only this instance's requests are cancelled. Each loader is
+      // destroyed (terminating any workers) once no other instance is using it.
+      for (const extensionHandler of this[USED_HANDLERS]) {
+        if (extensionHandler.loader && extensionHandler.loader.cancelRequests) {
+          extensionHandler.loader.cancelRequests(client, destroyedError);
         }
+        extensionHandler.releaseLoader(this);
       }
-      */
+      this[USED_HANDLERS].clear();
+
+      // Cached textures are owned by the cache rather than the callers that acquired them, so they're destroyed here.
+      for (const entry of this[CACHE].values()) {
+        if (!entry.result) {
+          entry.controller.abort();
+        }
+      }
+      for (const texture of this[CACHED_TEXTURES].keys()) {
+        client.destroyTexture(texture);
+      }
+      this[CACHE].clear();
+      this[CACHED_TEXTURES].clear();
+
+      client.destroy();
+      this[CLIENT] = null;
     }
   }
 }
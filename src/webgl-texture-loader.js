@@ -11,6 +11,11 @@ import {WebTextureFormat} from './texture-format.js';
 // For access to WebGL enums without a context.
 const GL = WebGLRenderingContext;
 
+// Block sizes supported by WEBGL_compressed_texture_astc.
+const ASTC_BLOCK_SIZES = [
+  '4x4', '5x4', '5x5', '6x5', '6x6', '8x5', '8x6', '8x8', '10x5', '10x6', '10x8', '10x10', '12x10', '12x12',
+];
+
 /**
  * Determines if the given value is a power of two.
  *
@@ -47,6 +52,39 @@ function resolveFormat(format) {
   return wtFormat;
 }
 
+/**
+ * Gets the typed array type that texture data must be given as for a given WebGL pixel type.
+ *
+ * @param {number} type - WebGL pixel type enum, such as UNSIGNED_BYTE or FLOAT.
+ * @returns {Function} - Typed array constructor.
+ */
+function glTypeToTypedArray(type) {
+  switch (type) {
+    case GL.BYTE:
+      return Int8Array;
+    case GL.SHORT:
+      return Int16Array;
+    case GL.UNSIGNED_SHORT:
+    case GL.UNSIGNED_SHORT_5_6_5:
+    case GL.UNSIGNED_SHORT_4_4_4_4:
+    case GL.UNSIGNED_SHORT_5_5_5_1:
+    case 0x140B: // HALF_FLOAT
+      return Uint16Array;
+    case GL.INT:
+      return Int32Array;
+    case GL.UNSIGNED_INT:
+    case 0x8368: // UNSIGNED_INT_2_10_10_10_REV
+    case 0x8C3B: // UNSIGNED_INT_10F_11F_11F_REV
+    case 0x8C3E: // UNSIGNED_INT_5_9_9_9_REV
+      return Uint32Array;
+    case GL.FLOAT:
+      return Float32Array;
+    case GL.UNSIGNED_BYTE:
+    default:
+      return Uint8Array;
+  }
+}
+
 /**
  * Gets the WebGL texture target required for a given texture type.
  *
@@ -57,6 +95,10 @@ function webTextureTypeToGLTarget(type) {
   switch (type) {
     case 'cube':
       return GL.TEXTURE_CUBE_MAP;
+    case '2d-array':
+      return 0x8C1A; // TEXTURE_2D_ARRAY
+    case '3d':
+      return 0x806F; // TEXTURE_3D
     case '2d':
     default:
       return GL.TEXTURE_2D;
@@ -101,20 +143,30 @@ class WebGLTextureClient {
       etc1: gl.getExtension('WEBGL_compressed_texture_etc1'),
       etc2: gl.getExtension('WEBGL_compressed_texture_etc'),
       pvrtc: gl.getExtension('WEBGL_compressed_texture_pvrtc'),
+      rgtc: gl.getExtension('EXT_texture_compression_rgtc'),
       s3tc: gl.getExtension('WEBGL_compressed_texture_s3tc'),
+      s3tcSrgb: gl.getExtension('WEBGL_compressed_texture_s3tc_srgb'),
     };
 
     this.uncompressedFormatList = [
-      'rgb8unorm', 'rgba8unorm', 'rgb565unorm', 'rgba4unorm',
+      'rgb8unorm', 'rgba8unorm', 'rgb565unorm', 'rgba4unorm', 'rgba5551unorm',
     ];
 
     this.supportedFormatList = [
-      'rgb8unorm', 'rgba8unorm', 'rgb565unorm', 'rgba4unorm',
+      'rgb8unorm', 'rgba8unorm', 'rgb565unorm', 'rgba4unorm', 'rgba5551unorm',
     ];
 
     if (this.isWebGL2) {
-      this.uncompressedFormatList.push('rgb8unorm-srgb', 'rgba8unorm-srgb', 'rg11b10ufloat');
-      this.supportedFormatList.push('rgb8unorm-srgb', 'rgba8unorm-srgb', 'rg11b10ufloat');
+      const webgl2Formats = [
+        'r8unorm', 'rg8unorm', 'rgb8unorm-srgb', 'rgba8unorm-srgb', 'rgb10a2unorm',
+        'r8snorm', 'rg8snorm', 'rgba8snorm',
+        'r8uint', 'r8sint', 'rg8uint', 'rg8sint', 'rgba8uint', 'rgba8sint',
+        'r16uint', 'r16sint', 'rg16uint', 'rg16sint', 'rgba16uint', 'rgba16sint',
+        'r32uint', 'r32sint', 'rg32uint', 'rg32sint', 'rgba32uint', 'rgba32sint', 'rgb10a2uint',
+        'rg11b10ufloat', 'rgb9e5ufloat', 'r16float', 'rg16float', 'rgba16float', 'r32float', 'rg32float', 'rgba32float',
+      ];
+      this.uncompressedFormatList.push(...webgl2Formats);
+      this.supportedFormatList.push(...webgl2Formats);
     } else {
       this.extensions.srgb = gl.getExtension('EXT_sRGB');
       if (this.extensions.srgb) {
@@ -124,22 +176,34 @@ class WebGLTextureClient {
     }
 
     if (this.extensions.astc) {
-      this.supportedFormatList.push('astc-4x4-rgba-unorm');
+      for (const blockSize of ASTC_BLOCK_SIZES) {
+        this.supportedFormatList.push(`astc-${blockSize}-rgba-unorm`, `astc-${blockSize}-rgba-unorm-srgb`);
+      }
     }
     if (this.extensions.bptc) {
-      this.supportedFormatList.push('bc7-rgba-unorm');
+      this.supportedFormatList.push('bc6h-rgb-ufloat', 'bc6h-rgb-float', 'bc7-rgba-unorm', 'bc7-rgba-unorm-srgb');
     }
     if (this.extensions.etc1) {
       this.supportedFormatList.push('etc1-rgb-unorm');
     }
     if (this.extensions.etc2) {
-      this.supportedFormatList.push('etc2-rgba8unorm');
+      this.supportedFormatList.push(
+          'etc2-rgb8unorm', 'etc2-rgb8unorm-srgb', 'etc2-rgb8a1unorm', 'etc2-rgb8a1unorm-srgb',
+          'etc2-rgba8unorm', 'etc2-rgba8unorm-srgb', 'eac-r11unorm', 'eac-r11snorm', 'eac-rg11unorm', 'eac-rg11snorm');
     }
     if (this.extensions.pvrtc) {
-      this.supportedFormatList.push('pvrtc1-4bpp-rgb-unorm', 'pvrtc1-4bpp-rgba-unorm');
+      this.supportedFormatList.push(
+          'pvrtc1-2bpp-rgb-unorm', 'pvrtc1-2bpp-rgba-unorm', 'pvrtc1-4bpp-rgb-unorm', 'pvrtc1-4bpp-rgba-unorm');
+    }
+    if (this.extensions.rgtc) {
+      this.supportedFormatList.push('bc4-r-unorm', 'bc4-r-snorm', 'bc5-rg-unorm', 'bc5-rg-snorm');
     }
     if (this.extensions.s3tc) {
-      this.supportedFormatList.push('bc1-rgb-unorm', 'bc2-rgba-unorm', 'bc3-rgba-unorm');
+      this.supportedFormatList.push('bc1-rgb-unorm', 'bc1-rgba-unorm', 'bc2-rgba-unorm', 'bc3-rgba-unorm');
+    }
+    if (this.extensions.s3tcSrgb) {
+      this.supportedFormatList.push(
+          'bc1-rgb-unorm-srgb', 'bc1-rgba-unorm-srgb', 'bc2-rgba-unorm-srgb', 'bc3-rgba-unorm-srgb');
     }
   }
 
@@ -230,8 +294,8 @@ class WebGLTextureClient {
 
     const wtFormat = resolveFormat(textureData.format);
     let generateMipmaps = options.mipmaps;
-    // Can't automatically generate mipmaps for compressed formats.
-    if (wtFormat.compressed) {
+    // Can't automatically generate mipmaps for compressed or floating point formats.
+    if (!wtFormat.canGenerateMipmaps) {
       generateMipmaps = false;
     }
 
@@ -243,12 +307,21 @@ class WebGLTextureClient {
                           (generateMipmaps ? calculateMipLevels(textureData.width, textureData.height) : 1);
 
     const target = webTextureTypeToGLTarget(textureData.type);
+    // Array and 3D textures are always allocated with texStorage3D and filled one slice at a time.
+    const isLayered = textureData.type == '2d-array' || textureData.type == '3d';
+    if (isLayered && !this.isWebGL2) {
+      throw new Error(`WebGL 1.0 does not support "${textureData.type}" textures`);
+    }
 
     const texture = gl.createTexture();
     gl.bindTexture(target, texture);
 
-    const useTexStorage = this.isWebGL2 && (!wtFormat.compressed || wtFormat.gl.texStorage) && this.allowTexStorage;
-    if (useTexStorage) {
+    const useTexStorage = isLayered ||
+        (this.isWebGL2 && (!wtFormat.compressed || wtFormat.gl.texStorage) && this.allowTexStorage);
+    if (isLayered) {
+      gl.texStorage3D(target, mipLevelCount, wtFormat.gl.sizedFormat,
+          textureData.width, textureData.height, textureData.depth);
+    } else if (useTexStorage) {
       gl.texStorage2D(target, mipLevelCount, wtFormat.gl.sizedFormat, textureData.width, textureData.height);
     }
 
@@ -259,22 +332,25 @@ class WebGLTextureClient {
         const slice = level.slices[sliceIndex];
         const uploadTarget = target == GL.TEXTURE_CUBE_MAP ? GL.TEXTURE_CUBE_MAP_POSITIVE_X + sliceIndex : target;
 
-        let sliceData;
-        switch (textureData.format) {
-          case 'rgb565unorm':
-          case 'rgba4unorm':
-          case 'rgba5551unorm':
-            sliceData = new Uint16Array(slice.buffer, slice.byteOffset, slice.byteLength / 2);
-            break;
-          case 'rg11b10ufloat':
-            sliceData = new Uint32Array(slice.buffer, slice.byteOffset, slice.byteLength / 4);
-            break;
-          default:
-            sliceData = new Uint8Array(slice.buffer, slice.byteOffset, slice.byteLength);
-            break;
-        }
+        // Compressed data is always uploaded as bytes.
+        const ArrayType = wtFormat.compressed ? Uint8Array : glTypeToTypedArray(wtFormat.gl.type);
+        const sliceData = new ArrayType(slice.buffer, slice.byteOffset, slice.byteLength / ArrayType.BYTES_PER_ELEMENT);
 
-        if (wtFormat.compressed) {
+        if (isLayered) {
+          if (wtFormat.compressed) {
+            gl.compressedTexSubImage3D(
+                target, levelIndex,
+                0, 0, sliceIndex, level.width, level.height, 1,
+                wtFormat.gl.sizedFormat,
+                sliceData);
+          } else {
+            gl.texSubImage3D(
+                target, levelIndex,
+                0, 0, sliceIndex, level.width, level.height, 1,
+                wtFormat.gl.format, wtFormat.gl.type,
+                sliceData);
+          }
+        } else if (wtFormat.compressed) {
           if (useTexStorage) {
             gl.compressedTexSubImage2D(
                 uploadTarget, levelIndex,
@@ -316,9 +392,24 @@ class WebGLTextureClient {
       mipLevels: mipLevelCount,
       format: textureData.format,
       type: textureData.type,
+      orientation: textureData.orientation,
+      swizzle: textureData.swizzle,
+      premultipliedAlpha: textureData.premultipliedAlpha,
     });
   }
 
+  /**
+   * Destroys a texture previously created by this client.
+   *
+   * @param {module:External.WebGLTexture} texture - Texture to destroy.
+   * @returns {void}
+   */
+  destroyTexture(texture) {
+    if (this.gl) {
+      this.gl.deleteTexture(texture);
+    }
+  }
+
   /**
    * Destroy this client.
    * The client is unusable after calling destroy().
@@ -12,6 +12,23 @@ import {WebGPUMipmapGenerator} from './webgpu-mipmap-generator.js';
 
 const IMAGE_BITMAP_SUPPORTED = (typeof createImageBitmap !== 'undefined');
 
+// Formats which are supported by every WebGPU device.
+const UNCOMPRESSED_FORMATS = [
+  'r8unorm', 'r8snorm', 'r8uint', 'r8sint',
+  'rg8unorm', 'rg8snorm', 'rg8uint', 'rg8sint',
+  'rgba8unorm', 'rgba8unorm-srgb', 'rgba8snorm', 'rgba8uint', 'rgba8sint',
+  'bgra8unorm', 'bgra8unorm-srgb',
+  'r16uint', 'r16sint', 'rg16uint', 'rg16sint', 'rgba16uint', 'rgba16sint',
+  'r32uint', 'r32sint', 'rg32uint', 'rg32sint', 'rgba32uint', 'rgba32sint',
+  'rgb10a2unorm', 'rgb10a2uint', 'rg11b10ufloat', 'rgb9e5ufloat',
+  'r16float', 'rg16float', 'rgba16float',
+  'r32float', 'rg32float', 'rgba32float',
+];
+
+const ASTC_BLOCK_SIZES = [
+  '4x4', '5x4', '5x5', '6x5', '6x6', '8x5', '8x6', '8x8', '10x5', '10x6', '10x8', '10x10', '12x10', '12x12',
+];
+
 const EXTENSION_FORMATS = {
   'texture-compression-bc': [
     'bc1-rgba-unorm',
@@ -20,6 +37,12 @@ const EXTENSION_FORMATS = {
     'bc2-rgba-unorm-srgb',
     'bc3-rgba-unorm',
     'bc3-rgba-unorm-srgb',
+    'bc4-r-unorm',
+    'bc4-r-snorm',
+    'bc5-rg-unorm',
+    'bc5-rg-snorm',
+    'bc6h-rgb-ufloat',
+    'bc6h-rgb-float',
     'bc7-rgba-unorm',
     'bc7-rgba-unorm-srgb',
   ],
@@ -35,6 +58,8 @@ const EXTENSION_FORMATS = {
     "eac-rg11unorm",
     "eac-rg11snorm",
   ],
+  'texture-compression-astc': ASTC_BLOCK_SIZES.flatMap(
+      (blockSize) => [`astc-${blockSize}-rgba-unorm`, `astc-${blockSize}-rgba-unorm-srgb`]),
 };
 
 const LINEAR_TO_SRGB_FORMATS = {
@@ -63,6 +88,11 @@ const SRGB_TO_LINEAR_FORMATS = {
   'etc2-rgba8unorm-srgb': 'etc2-rgba8unorm',
 };
 
+for (const blockSize of ASTC_BLOCK_SIZES) {
+  LINEAR_TO_SRGB_FORMATS[`astc-${blockSize}-rgba-unorm`] = `astc-${blockSize}-rgba-unorm-srgb`;
+  SRGB_TO_LINEAR_FORMATS[`astc-${blockSize}-rgba-unorm-srgb`] = `astc-${blockSize}-rgba-unorm`;
+}
+
 function formatForColorSpace(format, colorSpace) {
   switch (colorSpace) {
     case 'sRGB':
@@ -114,21 +144,9 @@ class WebGPUTextureClient {
     this.device = device;
     this.allowCompressedFormats = true;
 
-    this.uncompressedFormatList = [
-      'rgba8unorm',
-      'rgba8unorm-srgb',
-      'bgra8unorm',
-      'bgra8unorm-srgb',
-      'rg11b10ufloat',
-    ];
-
-    this.supportedFormatList = [
-      'rgba8unorm',
-      'rgba8unorm-srgb',
-      'bgra8unorm',
-      'bgra8unorm-srgb',
-      'rg11b10ufloat',
-    ];
+    this.uncompressedFormatList = [...UNCOMPRESSED_FORMATS];
+
+    this.supportedFormatList = [...UNCOMPRESSED_FORMATS];
 
     // Add any other formats that are exposed by WebGPU features.
     const featureList = device.features;
@@ -238,8 +256,10 @@ class WebGPUTextureClient {
       throw new Error(`Unknown format "${textureData.format}"`);
     }
 
-    const blockInfo = wtFormat.compressed || {blockBytes: 4, blockWidth: 1, blockHeight: 1};
-    const generateMipmaps = options.mipmaps && wtFormat.canGenerateMipmaps;
+    const blockInfo = wtFormat.compressed ||
+                      {blockBytes: wtFormat.bytesPerPixel || 4, blockWidth: 1, blockHeight: 1};
+    // The mipmap generator only handles 2D textures.
+    const generateMipmaps = options.mipmaps && wtFormat.canGenerateMipmaps && textureData.type != '3d';
 
     const mipLevelCount = textureData.levels.length > 1 ? textureData.levels.length :
                             (generateMipmaps ? calculateMipLevels(textureData.width, textureData.height) : 1);
@@ -252,6 +272,7 @@ class WebGPUTextureClient {
         height: Math.ceil(textureData.height / blockInfo.blockHeight) * blockInfo.blockHeight,
         depthOrArrayLayers: textureData.depth,
       },
+      dimension: textureData.type == '3d' ? '3d' : '2d',
       format: formatForColorSpace(textureData.format, options.colorSpace),
       usage,
       mipLevelCount: mipLevelCount,
@@ -294,9 +315,22 @@ class WebGPUTextureClient {
       mipLevels: mipLevelCount,
       format: textureData.format,
       type: textureData.type,
+      orientation: textureData.orientation,
+      swizzle: textureData.swizzle,
+      premultipliedAlpha: textureData.premultipliedAlpha,
     });
   }
 
+  /**
+   * Destroys a texture previously created by this client.
+   *
+   * @param {module:External.GPUTexture} texture - Texture to destroy.
+   * @returns {void}
+   */
+  destroyTexture(texture) {
+    texture.destroy();
+  }
+
   /**
    * Destroy this client.
    * The client is unusable after calling destroy().
@@ -6,7 +6,51 @@
  */
 
 const WORKER_DIR = import.meta.url.replace(/[^\/]*$/, '');
-const MAX_WORKER_POOL_SIZE = 4;
+
+// Settings used by every worker pool that hasn't overridden them.
+const workerPoolDefaults = {
+  // Maximum number of workers in each pool.
+  maxWorkers: 4,
+  // Maximum number of requests a pool will have being fetched or transcoded at once. Any others wait in a queue.
+  maxActiveRequests: 8,
+  // Milliseconds a worker may sit without any requests before it's terminated. 0 keeps idle workers alive forever.
+  idleTimeout: 60000,
+};
+
+/**
+ * Changes the default settings for every worker pool. Pools which have been configured individually keep the settings
+ * they were given.
+ *
+ * @param {object} options - Settings to change.
+ * @param {number} [options.maxWorkers] - Maximum number of workers in each pool.
+ * @param {number} [options.maxActiveRequests] - Maximum number of requests each pool processes at once.
+ * @param {number} [options.idleTimeout] - Milliseconds before an idle worker is terminated, or 0 to never terminate
+ * idle workers.
+ * @returns {void}
+ */
+export function configureWorkerPoolDefaults(options) {
+  for (const name in workerPoolDefaults) {
+    if (options[name] !== undefined) {
+      workerPoolDefaults[name] = options[name];
+    }
+  }
+}
+
+/**
+ * A worker in a WorkerLoader's pool, along with the bookkeeping needed to balance requests between them.
+ */
+class PooledWorker {
+  /**
+   * Creates a PooledWorker instance.
+   *
+   * @param {Worker} worker - The worker being tracked.
+   */
+  constructor(worker) {
+    this.worker = worker;
+    this.activeRequests = 0;
+    this.idleTimer = null;
+  }
+}
 
 /**
  * Tracks required data for fulfilling a texture request once it has been transcoded.
@@ -25,6 +69,41 @@ class PendingTextureRequest {
     this.options = options;
     this.resolve = resolve;
     this.reject = reject;
+    this.aborted = false;
+    this.onAbort = null;
+    this.id = 0;
+    this.workerLoader = null;
+    // The message that will be sent to the worker, held until the request leaves the queue.
+    this.message = null;
+    // The worker the request was sent to, or null if it's still queued.
+    this.worker = null;
+    this.dispatchTime = 0;
+  }
+
+  /**
+   * Returns the current priority of the request. Read each time the queue is examined, so that priorities given as an
+   * object can be changed while the request is waiting.
+   *
+   * @returns {number} - Priority of the request. Higher priorities are dispatched first.
+   */
+  get priority() {
+    const priority = this.options.priority;
+    if (priority && typeof priority == 'object') {
+      return priority.value || 0;
+    }
+    return priority || 0;
+  }
+
+  /**
+   * Stops listening for the request's AbortSignal, if one was given.
+   *
+   * @returns {void}
+   */
+  detachSignal() {
+    if (this.onAbort) {
+      this.options.signal.removeEventListener('abort', this.onAbort);
+      this.onAbort = null;
+    }
   }
 };
 
@@ -32,36 +111,69 @@ const pendingTextures = {};
 let nextPendingTextureId = 1;
 
 /**
- * Called when the worker either finished transcoding a file or encounters an error.
+ * Called when the worker reports progress, finishes transcoding a file, or encounters an error.
  *
  * @param {object} msg - Message contents from the worker
- * @returns {void}
+ * @returns {boolean} - True if the message completed the request, false if the request is still in progress.
  */
 function onWorkerMessage(msg) {
   // Find the pending texture associated with the data we just received
   // from the worker.
   const pendingTexture = pendingTextures[msg.data.id];
+
+  // Progress messages are informational only and leave the request pending.
+  if (msg.data.progress) {
+    if (pendingTexture && !pendingTexture.aborted && pendingTexture.options.onProgress) {
+      pendingTexture.options.onProgress(msg.data.progress);
+    }
+    return false;
+  }
+
   if (!pendingTexture) {
     if (msg.data.error) {
       console.error(`Texture load failed: ${msg.data.error}`);
     }
     console.error(`Invalid pending texture ID: ${msg.data.id}`);
-    return;
+    return true;
   }
 
   // Remove the pending texture from the waiting list.
   delete pendingTextures[msg.data.id];
+  pendingTexture.detachSignal();
+
+  // If the request was aborted the promise has already been rejected. Drop whatever the worker sent back so that no
+  // texture is created for it.
+  if (pendingTexture.aborted || msg.data.aborted) {
+    return true;
+  }
 
   // If the worker indicated an error has occured handle it now.
   if (msg.data.error) {
     console.error(`Texture load failed: ${msg.data.error}`);
-    pendingTexture.reject(`${msg.data.error}`);
-    return;
+    // Parsers report which part of a malformed file was invalid through the error's name and field properties.
+    const error = new Error(msg.data.error);
+    if (msg.data.errorInfo) {
+      Object.assign(error, msg.data.errorInfo);
+    }
+    pendingTexture.reject(error);
+    return true;
   }
 
-  // Upload the image data returned by the worker.
-  const result = pendingTexture.client.fromTextureData(msg.data, pendingTexture.options);
+  // Upload the image data returned by the worker. The client can still refuse the data, such as a format or texture
+  // type the API doesn't support, in which case the request is rejected but still counts as completed.
+  let result;
+  try {
+    result = pendingTexture.client.fromTextureData(msg.data, pendingTexture.options);
+  } catch (err) {
+    console.error(`Texture upload failed: ${err.message}`);
+    pendingTexture.reject(err);
+    return true;
+  }
+  if (pendingTexture.options.onProgress) {
+    pendingTexture.options.onProgress({stage: 'uploaded'});
+  }
   pendingTexture.resolve(result);
+  return true;
 }
 
 /**
@@ -71,35 +183,159 @@ export class WorkerLoader {
   /**
    * Creates a WorkerLoader instance.
    *
-   * @param {string} relativeWorkerPath - Path to the worker script to load, relative to this file.
+   * @param {string} relativeWorkerPath - Path to the worker script to load, relative to this file. May also be an
+   * absolute URL, which allows custom worker scripts to be hosted elsewhere.
    */
   constructor(relativeWorkerPath) {
     // Load the worker script.
-    this.workerPath = `${WORKER_DIR}${relativeWorkerPath}`;
+    this.workerPath = new URL(relativeWorkerPath, WORKER_DIR).href;
     this.workerPool = [];
-    this.nextWorker = 0;
     this.outstandingRequests = 0;
+    // Requests which haven't been sent to a worker yet.
+    this.requestQueue = [];
+    // Settings which override workerPoolDefaults for this pool only.
+    this.poolOptions = {};
+
+    // Used to report the average time taken by each request.
+    this.completedRequests = 0;
+    this.totalRequestTime = 0;
 
     this.addWorker();
   }
 
+  /**
+   * Returns the value of a pool setting, falling back to the global default if this pool hasn't overridden it.
+   *
+   * @param {string} name - Name of the setting.
+   * @returns {number} - Value of the setting.
+   */
+  getPoolOption(name) {
+    return this.poolOptions[name] !== undefined ? this.poolOptions[name] : workerPoolDefaults[name];
+  }
+
+  /**
+   * Changes the settings for this loader's worker pool. See `configureWorkerPoolDefaults()` for the available settings.
+   *
+   * @param {object} options - Settings to change.
+   * @returns {void}
+   */
+  configure(options) {
+    for (const name in workerPoolDefaults) {
+      if (options[name] !== undefined) {
+        this.poolOptions[name] = options[name];
+      }
+    }
+
+    // Idle timers that have already been started will use the old timeout, so restart them.
+    for (const pooledWorker of this.workerPool) {
+      if (!pooledWorker.activeRequests) {
+        this.scheduleIdleShutdown(pooledWorker);
+      }
+    }
+
+    // Raising the active request limit may allow queued requests to start.
+    this.dispatchRequests();
+  }
+
+  /**
+   * Starts workers ahead of time, so that they have finished loading by the time they are needed. Pre-warmed workers
+   * are still subject to the idle timeout.
+   *
+   * @param {number} [count=1] - Number of workers the pool should have. Limited by the pool's `maxWorkers` setting.
+   * @returns {void}
+   */
+  prewarm(count = 1) {
+    const targetCount = Math.min(count, this.getPoolOption('maxWorkers'));
+    while (this.workerPool.length < targetCount) {
+      this.addWorker();
+    }
+  }
+
+  /**
+   * Returns statistics describing the current state of the worker pool.
+   *
+   * @returns {object} - The number of `workers` in the pool, the number of `activeRequests` being processed by them,
+   * the number of `queuedRequests` waiting to be sent to a worker, the number of `completedRequests`, and the
+   * `averageRequestTime` in milliseconds that it took for a worker to complete a request.
+   */
+  getStats() {
+    return {
+      workers: this.workerPool.length,
+      activeRequests: this.outstandingRequests,
+      queuedRequests: this.requestQueue.length,
+      completedRequests: this.completedRequests,
+      averageRequestTime: this.completedRequests ? this.totalRequestTime / this.completedRequests : 0,
+    };
+  }
+
   addWorker() {
-    const worker = new Worker(this.workerPath);
-    worker.onmessage = (msg) => {
-      onWorkerMessage(msg);
-      this.outstandingRequests--;
+    const pooledWorker = new PooledWorker(new Worker(this.workerPath));
+    pooledWorker.worker.onmessage = (msg) => {
+      const pendingTexture = pendingTextures[msg.data.id];
+      if (onWorkerMessage(msg)) {
+        this.outstandingRequests--;
+        pooledWorker.activeRequests = Math.max(0, pooledWorker.activeRequests - 1);
+
+        if (pendingTexture && pendingTexture.dispatchTime) {
+          this.completedRequests++;
+          this.totalRequestTime += performance.now() - pendingTexture.dispatchTime;
+        }
+
+        if (!pooledWorker.activeRequests) {
+          this.scheduleIdleShutdown(pooledWorker);
+        }
+        this.dispatchRequests();
+      }
     };
 
-    this.workerPool.push(worker);
-    return worker;
+    this.workerPool.push(pooledWorker);
+    this.scheduleIdleShutdown(pooledWorker);
+    return pooledWorker;
+  }
+
+  /**
+   * Terminates the given worker if it doesn't receive any requests before the pool's idle timeout.
+   *
+   * @param {PooledWorker} pooledWorker - Worker which has no active requests.
+   * @returns {void}
+   */
+  scheduleIdleShutdown(pooledWorker) {
+    clearTimeout(pooledWorker.idleTimer);
+    pooledWorker.idleTimer = null;
+
+    const idleTimeout = this.getPoolOption('idleTimeout');
+    if (!idleTimeout) {
+      return;
+    }
+
+    pooledWorker.idleTimer = setTimeout(() => {
+      pooledWorker.idleTimer = null;
+      if (pooledWorker.activeRequests) {
+        return;
+      }
+      pooledWorker.worker.terminate();
+      this.workerPool.splice(this.workerPool.indexOf(pooledWorker), 1);
+    }, idleTimeout);
   }
 
   selectWorker() {
     this.outstandingRequests++;
-    if (this.outstandingRequests >= this.workerPool.length && this.workerPool.length < MAX_WORKER_POOL_SIZE) {
-      return this.addWorker();
+
+    // Prefer the least busy worker, but start a new one rather than giving a busy worker more work.
+    let selected = null;
+    for (const pooledWorker of this.workerPool) {
+      if (!selected || pooledWorker.activeRequests < selected.activeRequests) {
+        selected = pooledWorker;
+      }
+    }
+    if ((!selected || selected.activeRequests) && this.workerPool.length < this.getPoolOption('maxWorkers')) {
+      selected = this.addWorker();
     }
-    return this.workerPool[this.nextWorker++ % this.workerPool.length];
+
+    clearTimeout(selected.idleTimer);
+    selected.idleTimer = null;
+    selected.activeRequests++;
+    return selected;
   }
 
   /**
@@ -112,19 +348,7 @@ export class WorkerLoader {
    * parsed file data to the client.
    */
   async fromUrl(client, url, options) {
-    const pendingTextureId = nextPendingTextureId++;
-
-    this.selectWorker().postMessage({
-      id: pendingTextureId,
-      url: url,
-      supportedFormats: client.supportedFormats(),
-      mipmaps: options.mipmaps,
-      extension: options.extension,
-    });
-
-    return new Promise((resolve, reject) => {
-      pendingTextures[pendingTextureId] = new PendingTextureRequest(client, options, resolve, reject);
-    });
+    return this.submitRequest(client, {url}, options);
   }
 
   /**
@@ -138,6 +362,9 @@ export class WorkerLoader {
    */
   async fromBlob(client, blob, options) {
     const buffer = await blob.arrayBuffer();
+    if (options.signal && options.signal.aborted) {
+      throw new DOMException('Texture load was aborted.', 'AbortError');
+    }
     return this.fromBuffer(client, buffer, options);
   }
 
@@ -151,35 +378,148 @@ export class WorkerLoader {
    * parsed file data to the client.
    */
   async fromBuffer(client, buffer, options) {
+    return this.submitRequest(client, {buffer}, options);
+  }
+
+  /**
+   * Queues a texture request to be sent to one of the pooled workers and tracks it until the worker responds.
+   *
+   * @param {object} client - The WebTextureClient which will upload the texture data to the GPU.
+   * @param {object} source - Either a `url` or a `buffer` for the worker to load the file data from.
+   * @param {object} options - Options for how the loaded texture should be handled.
+   * @returns {Promise<module:WebTextureLoader.WebTextureResult>} - The WebTextureResult obtained from passing the
+   * parsed file data to the client.
+   */
+  submitRequest(client, source, options) {
+    const signal = options.signal;
+    if (signal && signal.aborted) {
+      return Promise.reject(new DOMException('Texture load was aborted.', 'AbortError'));
+    }
+
     const pendingTextureId = nextPendingTextureId++;
 
-    this.selectWorker().postMessage({
-      id: pendingTextureId,
-      buffer: buffer,
-      supportedFormats: client.supportedFormats(),
-      mipmaps: options.mipmaps,
-      extension: options.extension,
-    });
+    const promise = new Promise((resolve, reject) => {
+      const pendingTexture = new PendingTextureRequest(client, options, resolve, reject);
+      pendingTexture.id = pendingTextureId;
+      pendingTexture.workerLoader = this;
+      pendingTexture.message = {
+        id: pendingTextureId,
+        url: source.url,
+        buffer: source.buffer,
+        supportedFormats: client.supportedFormats(),
+        mipmaps: options.mipmaps,
+        extension: options.extension,
+        progress: !!options.onProgress,
+        persistentCache: options.persistentCache,
+        applySwizzle: options.applySwizzle,
+        transcodeHint: options.transcodeHint,
+        transcodePreference: options.transcodePreference,
+        imageIndex: options.imageIndex,
+        hdrFormat: options.hdrFormat,
+        exrChannels: options.exrChannels,
+      };
+      pendingTextures[pendingTextureId] = pendingTexture;
+      this.requestQueue.push(pendingTexture);
 
-    return new Promise((resolve, reject) => {
-      pendingTextures[pendingTextureId] = new PendingTextureRequest(client, options, resolve, reject);
+      if (signal) {
+        pendingTexture.onAbort = () => {
+          this.cancelRequest(pendingTexture, new DOMException('Texture load was aborted.', 'AbortError'));
+        };
+        signal.addEventListener('abort', pendingTexture.onAbort);
+      }
     });
+
+    this.dispatchRequests();
+    return promise;
+  }
+
+  /**
+   * Stops a pending request and rejects it's promise with the given error.
+   *
+   * @param {PendingTextureRequest} pendingTexture - Request to cancel.
+   * @param {Error} error - Reason the request was cancelled.
+   * @returns {void}
+   */
+  cancelRequest(pendingTexture, error) {
+    pendingTexture.detachSignal();
+    pendingTexture.aborted = true;
+    if (pendingTexture.worker) {
+      // The pending texture stays registered until the worker acknowledges the abort, so that any result it was
+      // about to send back can be discarded.
+      pendingTexture.worker.postMessage({id: pendingTexture.id, abort: true});
+    } else {
+      // Still queued, so no worker ever needs to hear about it.
+      this.requestQueue.splice(this.requestQueue.indexOf(pendingTexture), 1);
+      delete pendingTextures[pendingTexture.id];
+    }
+    pendingTexture.reject(error);
+  }
+
+  /**
+   * Cancels every pending request made on behalf of the given client, rejecting them with the given error. Used when a
+   * WebTextureTool is destroyed while other instances continue to use this loader.
+   *
+   * @param {object} client - The WebTextureClient whose requests should be cancelled.
+   * @param {Error} error - Reason the requests were cancelled.
+   * @returns {void}
+   */
+  cancelRequests(client, error) {
+    for (const pendingTexture of Object.values(pendingTextures)) {
+      if (pendingTexture.workerLoader == this && pendingTexture.client == client && !pendingTexture.aborted) {
+        this.cancelRequest(pendingTexture, error);
+      }
+    }
+  }
+
+  /**
+   * Sends queued requests to the workers, highest priority first, until the maximum number of active requests is
+   * reached. Requests with equal priority are sent in the order they were made.
+   *
+   * @returns {void}
+   */
+  dispatchRequests() {
+    while (this.requestQueue.length && this.outstandingRequests < this.getPoolOption('maxActiveRequests')) {
+      let nextIndex = 0;
+      for (let i = 1; i < this.requestQueue.length; ++i) {
+        if (this.requestQueue[i].priority > this.requestQueue[nextIndex].priority) {
+          nextIndex = i;
+        }
+      }
+
+      const pendingTexture = this.requestQueue.splice(nextIndex, 1)[0];
+      pendingTexture.worker = this.selectWorker().worker;
+      pendingTexture.dispatchTime = performance.now();
+      pendingTexture.worker.postMessage(pendingTexture.message);
+      pendingTexture.message = null;
+    }
   }
 
   /**
    * Destroy this loader.
-   * Terminates the worker and rejects any outstanding textures. The loader is unusable after calling destroy().
+   * Terminates the workers and rejects any outstanding textures. The loader is unusable after calling destroy().
    *
    * @returns {void}
    */
   destroy() {
-    if (this.worker) {
-      this.worker.terminate();
-
-      const destroyedError = new Error('Texture loader was destroyed.');
-      for (const pendingTexture of pendingTextures) {
+    const destroyedError = new Error('Texture loader was destroyed.');
+    for (const [id, pendingTexture] of Object.entries(pendingTextures)) {
+      if (pendingTexture.workerLoader != this) {
+        continue;
+      }
+      delete pendingTextures[id];
+      pendingTexture.detachSignal();
+      // Aborted requests have already been rejected, and were only waiting on the worker to acknowledge it.
+      if (!pendingTexture.aborted) {
         pendingTexture.reject(destroyedError);
       }
     }
+    this.requestQueue = [];
+
+    for (const pooledWorker of this.workerPool) {
+      clearTimeout(pooledWorker.idleTimer);
+      pooledWorker.worker.terminate();
+    }
+    this.workerPool = [];
+    this.outstandingRequests = 0;
   }
 }
@@ -0,0 +1,90 @@
+/**
+ * @file Web Worker for loading ASTC compressed texture files, as written by astcenc
+ * @module ASTCWorker
+ */
+
+importScripts('./worker-util.js');
+
+// Format referenced from the astcenc documentation:
+// https://github.com/ARM-software/astc-encoder/blob/main/Docs/FileFormat.md
+const ASTC_MAGIC = 0x5CA1AB13;
+
+const HEADER_BYTE_LENGTH = 16;
+const BLOCK_BYTES = 16;
+
+const MAX_TEXTURE_DIMENSION_2D = 16384;
+
+// 2D block footprints that have a WebGL and WebGPU equivalent.
+const ASTC_BLOCK_SIZES = [
+  '4x4', '5x4', '5x5', '6x5', '6x6', '8x5', '8x6', '8x8', '10x5', '10x6', '10x8', '10x10', '12x10', '12x12',
+];
+
+/**
+ * Reads a 24 bit little endian size from the header.
+ *
+ * @param {Uint8Array} header - The ASTC header.
+ * @param {number} offset - Offset of the size.
+ * @returns {number} - The size.
+ */
+function readSize(header, offset) {
+  return header[offset] | (header[offset + 1] << 8) | (header[offset + 2] << 16);
+}
+
+/**
+ * Parses an ASTC file into a WorkerTextureData. The files don't record whether their data is sRGB encoded, so it's
+ * always loaded with the linear format.
+ * Malformed files throw a TextureParseError naming the header field that was invalid.
+ *
+ * @param {ArrayBuffer} buffer - Contents of the ASTC file.
+ * @param {Array<module:WebTextureTool.WebTextureFormat>} supportedFormats - Formats which the target API can support.
+ * @param {boolean} mipmaps - Unused, ASTC files contain a single level and compressed textures can't generate mipmaps.
+ * @returns {object} - The texture data contained in the file, as a WorkerTextureData.
+ */
+function parseFile(buffer, supportedFormats, mipmaps) {
+  if (buffer.byteLength < HEADER_BYTE_LENGTH) {
+    throw new TextureParseError(`File is too small to be an ASTC file: ${buffer.byteLength} bytes`, 'magic');
+  }
+
+  const header = new Uint8Array(buffer, 0, HEADER_BYTE_LENGTH);
+  if (new DataView(buffer).getUint32(0, true) != ASTC_MAGIC) {
+    throw new TextureParseError('Invalid magic number in ASTC header', 'magic');
+  }
+
+  const blockWidth = header[4];
+  const blockHeight = header[5];
+  const blockDepth = header[6];
+  const blockSize = `${blockWidth}x${blockHeight}`;
+  if (blockDepth != 1 || ASTC_BLOCK_SIZES.indexOf(blockSize) == -1) {
+    throw new TextureParseError(`Unsupported ASTC block size: ${blockSize}x${blockDepth}`, 'blockdim');
+  }
+
+  const width = readSize(header, 7);
+  const height = readSize(header, 10);
+  const depth = readSize(header, 13);
+  for (const [field, value] of [['xsize', width], ['ysize', height]]) {
+    if (value < 1 || value > MAX_TEXTURE_DIMENSION_2D) {
+      throw new TextureParseError(
+          `Invalid ASTC ${field}: ${value}, must be between 1 and ${MAX_TEXTURE_DIMENSION_2D}`, field);
+    }
+  }
+  if (depth != 1) {
+    throw new TextureParseError(`Volume ASTC textures are not supported, zsize is ${depth}`, 'zsize');
+  }
+
+  const format = `astc-${blockSize}-rgba-unorm`;
+  if (supportedFormats.indexOf(format) == -1) {
+    throw new Error(`Texture stored in unsupported format: ${format}`);
+  }
+
+  const byteLength = Math.ceil(width / blockWidth) * Math.ceil(height / blockHeight) * BLOCK_BYTES;
+  if (HEADER_BYTE_LENGTH + byteLength > buffer.byteLength) {
+    throw new TextureParseError(`Image data extends past the end of the file: needs ${byteLength} bytes at offset ` +
+        `${HEADER_BYTE_LENGTH}, but the file is ${buffer.byteLength} bytes`, 'data');
+  }
+
+  const textureData = new WorkerTextureData({format, width, height});
+  textureData.getLevel(0).setSlice(0, buffer, {byteOffset: HEADER_BYTE_LENGTH, byteLength});
+  return textureData;
+}
+
+onmessage = createTextureMessageHandler(parseFile);
@@ -49,28 +49,74 @@ const BASIS_FORMAT = {
   cTFBGR565: 15,							// 16bpp RGB image stored in raster (not block) order in memory, R at bit position 0
   cTFRGBA4444: 16,						// 16bpp RGBA image stored in raster (not block) order in memory, R at bit position 12, A at bit position 0
 
+  // ETC2 EAC (mobile, some desktop devices)
+  cTFETC2_EAC_R11: 20,				// Red only, alpha slice is transcoded to output if cDecodeFlagsTranscodeAlphaDataToOpaqueFormats flag is specified
+  cTFETC2_EAC_RG11: 21,				// XY: Two EAC R11 blocks, X=R and Y=Alpha, .basis file should have alpha data (if not Y will be all 255's)
+
   cTFTotalTextureFormats: 22,
 };
 /* eslint-enable */
 
-const WTT_FORMAT_MAP = {};
-// Compressed formats
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFBC1_RGB] = {format: 'bc1-rgb-unorm'};
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFBC3_RGBA] = {format: 'bc3-rgba-unorm'};
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFBC7_RGBA] = {format: 'bc7-rgba-unorm'};
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFETC1_RGB] = {format: 'etc1-rgb-unorm'};
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFETC2_RGBA] = {format: 'etc2-rgba8unorm'};
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFASTC_4x4_RGBA] = {format: 'astc-4x4-rgba-unorm'};
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFPVRTC1_4_RGB] = {format: 'pvrtc1-4bpp-rgb-unorm'};
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFPVRTC1_4_RGBA] = {format: 'pvrtc1-4bpp-rgba-unorm'};
-
-// Uncompressed formats
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFRGBA32] = {format: 'rgba8unorm', uncompressed: true};
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFRGB565] = {format: 'rgb565unorm', uncompressed: true};
-WTT_FORMAT_MAP[BASIS_FORMAT.cTFRGBA4444] = {format: 'rgba4unorm', uncompressed: true};
-
-// This utility currently only transcodes the first image in the file.
-const IMAGE_INDEX = 0;
+// The basis_transcoder format for each of the transcode targets in worker-util.js.
+const BASIS_TARGET_FORMATS = {
+  ETC1_RGB: BASIS_FORMAT.cTFETC1_RGB,
+  ETC2_RGBA: BASIS_FORMAT.cTFETC2_RGBA,
+  BC1_RGB: BASIS_FORMAT.cTFBC1_RGB,
+  BC3_RGBA: BASIS_FORMAT.cTFBC3_RGBA,
+  BC4_R: BASIS_FORMAT.cTFBC4_R,
+  BC5_RG: BASIS_FORMAT.cTFBC5_RG,
+  BC7_M5_RGBA: BASIS_FORMAT.cTFBC7_RGBA,
+  EAC_R11: BASIS_FORMAT.cTFETC2_EAC_R11,
+  EAC_RG11: BASIS_FORMAT.cTFETC2_EAC_RG11,
+  ASTC_4x4_RGBA: BASIS_FORMAT.cTFASTC_4x4_RGBA,
+  PVRTC1_4_RGB: BASIS_FORMAT.cTFPVRTC1_4_RGB,
+  PVRTC1_4_RGBA: BASIS_FORMAT.cTFPVRTC1_4_RGBA,
+  RGBA32: BASIS_FORMAT.cTFRGBA32,
+  RGB565: BASIS_FORMAT.cTFRGB565,
+  RGBA4444: BASIS_FORMAT.cTFRGBA4444,
+};
+
+// Values of the m_tex_type field of a basis_file_header, which is the byte at BASIS_TEX_TYPE_OFFSET.
+const BASIS_TEX_TYPE_OFFSET = 23;
+const BASIS_TEX_TYPE_2D = 0;
+const BASIS_TEX_TYPE_2D_ARRAY = 1;
+const BASIS_TEX_TYPE_CUBEMAP_ARRAY = 2;
+const BASIS_TEX_TYPE_VIDEO_FRAMES = 3;
+const BASIS_TEX_TYPE_VOLUME = 4;
+
+/**
+ * Determines which images of a Basis file to transcode and how they're arranged in the texture, based on the file's
+ * texture type.
+ *
+ * @param {number} texType - The m_tex_type field of the file's header.
+ * @param {number} imageCount - Number of images in the file.
+ * @param {number} imageIndex - The image to load from files where each image is a separate texture.
+ * @returns {object} - The type of the texture, and the index of the first image and number of images to load.
+ */
+function getBasisImageLayout(texType, imageCount, imageIndex) {
+  switch (texType) {
+    case BASIS_TEX_TYPE_2D:
+    case BASIS_TEX_TYPE_VIDEO_FRAMES:
+      // Every image is a separate texture, or frame of a video, so only one is loaded.
+      if (imageIndex >= imageCount) {
+        throw new Error(`Image index ${imageIndex} is out of range, file contains ${imageCount} images`);
+      }
+      return {type: '2d', firstImage: imageIndex, imageCount: 1};
+    case BASIS_TEX_TYPE_2D_ARRAY:
+      return {type: '2d-array', firstImage: 0, imageCount};
+    case BASIS_TEX_TYPE_CUBEMAP_ARRAY:
+      if (imageCount % 6) {
+        throw new Error(
+            `Cube map Basis textures must contain six faces for each cube, file contains ${imageCount} images`);
+      }
+      // Files containing more than one cube are loaded as an array, the same as KTX files.
+      return {type: imageCount == 6 ? 'cube' : 'cube-array', firstImage: 0, imageCount};
+    case BASIS_TEX_TYPE_VOLUME:
+      return {type: '3d', firstImage: 0, imageCount};
+    default:
+      throw new Error(`Unknown Basis texture type: ${texType}`);
+  }
+}
 
 /**
  * Transcodes basis universal texture data into the optimal supported format and sends the resulting data back to the
@@ -79,108 +125,86 @@ const IMAGE_INDEX = 0;
  * @param {module:External.ArrayBufferView} arrayBuffer - Array buffer containing the data to transcode.
  * @param {Array<module:WebTextureTool.WebTextureFormat>} supportedFormats - Formats which the target API can support.
  * @param {boolean} mipmaps - True if all available mip levels should be transcoded.
+ * @param {object} options - Additional options for the request.
+ * @param {Function} options.onProgress - Called as each mip level begins transcoding.
+ * @param {string} [options.transcodeHint] - What the texture contains: 'color', 'normal', or 'mask'.
+ * @param {string} options.transcodePreference - Whether to favor the 'quality' or 'size' of the transcoded texture.
+ * @param {number} options.imageIndex - The image to load from files which contain several separate 2D images or video
+ * frames.
+ * @param {Array<module:WebTextureTool.WebTextureFormat>} options.nativeFormats - Formats which the target API supports
+ * without converting them, which are the only ones the data is transcoded to.
  * @returns {void}
  */
-async function transcodeBasisFile(arrayBuffer, supportedFormats, mipmaps) {
+async function transcodeBasisFile(arrayBuffer, supportedFormats, mipmaps, options) {
   const BasisFile = await BASIS_TRANSCODER;
 
-  // The formats this device supports
-  const supportedBasisFormats = {};
-  // eslint-disable-next-line guard-for-in
-  for (const targetFormat in WTT_FORMAT_MAP) {
-    const wttFormat = WTT_FORMAT_MAP[targetFormat];
-    supportedBasisFormats[targetFormat] = supportedFormats.indexOf(wttFormat.format) > -1;
-  }
-
   const basisData = new Uint8Array(arrayBuffer);
 
   const basisFile = new BasisFile(basisData);
   const images = basisFile.getNumImages();
   const hasAlpha = basisFile.getHasAlpha();
-  let levels = basisFile.getNumLevels(IMAGE_INDEX);
 
   try {
-    if (!images || !levels) {
+    if (!images || basisData.byteLength <= BASIS_TEX_TYPE_OFFSET) {
       throw new Error('Invalid Basis data');
     }
 
-    if (!basisFile.startTranscoding()) {
-      throw new Error('startTranscoding failed');
-    }
+    const layout = getBasisImageLayout(basisData[BASIS_TEX_TYPE_OFFSET], images, options.imageIndex);
+    const firstImage = layout.firstImage;
+    let levels = basisFile.getNumLevels(firstImage);
 
-    let basisFormat = undefined;
-    if (hasAlpha) {
-      if (supportedBasisFormats[BASIS_FORMAT.cTFETC2_RGBA]) {
-        basisFormat = BASIS_FORMAT.cTFETC2_RGBA;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFBC7_RGBA]) {
-        basisFormat = BASIS_FORMAT.cTFBC7_RGBA;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFBC3_RGBA]) {
-        basisFormat = BASIS_FORMAT.cTFBC3_RGBA;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFASTC_4x4_RGBA]) {
-        basisFormat = BASIS_FORMAT.cTFASTC_4x4_RGBA;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFPVRTC1_4_RGBA]) {
-        basisFormat = BASIS_FORMAT.cTFPVRTC1_4_RGBA;
-      } else {
-        // If we don't support any appropriate compressed formats transcode to
-        // raw pixels. This is something of a last resort, because the GPU
-        // upload will be significantly slower and take a lot more memory, but
-        // at least it prevents you from needing to store a fallback JPG/PNG and
-        // the download size will still likely be smaller.
-        basisFormat = BASIS_FORMAT.cTFRGBA32;
-      }
-    } else {
-      if (supportedBasisFormats[BASIS_FORMAT.cTFETC1_RGB]) {
-        // Should be the highest quality, so use when available.
-        // http://richg42.blogspot.com/2018/05/basis-universal-gpu-texture-format.html
-        basisFormat = BASIS_FORMAT.cTFETC1_RGB;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFBC7_RGBA]) {
-        basisFormat = BASIS_FORMAT.cTFBC7_RGBA;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFBC1_RGB]) {
-        basisFormat = BASIS_FORMAT.cTFBC1_RGB;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFETC2_RGBA]) {
-        basisFormat = BASIS_FORMAT.cTFETC2_RGBA;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFASTC_4x4_RGBA]) {
-        basisFormat = BASIS_FORMAT.cTFASTC_4x4_RGBA;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFPVRTC1_4_RGB]) {
-        basisFormat = BASIS_FORMAT.cTFPVRTC1_4_RGB;
-      } else if (supportedBasisFormats[BASIS_FORMAT.cTFRGB565]) {
-        // See note on uncompressed transcode above.
-        basisFormat = BASIS_FORMAT.cTFRGB565;
-      } else {
-        // See note on uncompressed transcode above.
-        basisFormat = BASIS_FORMAT.cTFRGBA32;
-      }
+    if (!levels) {
+      throw new Error('Invalid Basis data');
     }
 
-    if (basisFormat === undefined) {
-      throw new Error('No supported transcode formats');
+    if (!basisFile.startTranscoding()) {
+      throw new Error('startTranscoding failed');
     }
 
-    const wttFormat = WTT_FORMAT_MAP[basisFormat];
+    const target = selectBasisTranscodeTarget({hasAlpha}, options.nativeFormats, options);
+    const basisFormat = BASIS_TARGET_FORMATS[target];
+    const wttFormat = BASIS_TRANSCODE_TARGETS[target];
 
     // If we're not using compressed textures or we've been explicitly instructed to not unpack mipmaps only transcode a
-    // single level.
-    if (wttFormat.uncompressed || !mipmaps) {
+    // single level. Each image of a volume has it's own 2D mip chain, which can't be used as the mips of a 3D texture.
+    if (wttFormat.uncompressed || !mipmaps || layout.type == '3d') {
       levels = 1;
     }
 
     const textureData = new WorkerTextureData({
       format: wttFormat.format,
-      width: basisFile.getImageWidth(0, 0),
-      height: basisFile.getImageHeight(0, 0),
+      type: layout.type,
+      width: basisFile.getImageWidth(firstImage, 0),
+      height: basisFile.getImageHeight(firstImage, 0),
+      depth: layout.imageCount,
     });
 
+    // ETC1S video frames after the first are stored as changes to the previous frame, so every frame before the
+    // requested one has to be transcoded first.
+    const precedingFrames = basisData[BASIS_TEX_TYPE_OFFSET] == BASIS_TEX_TYPE_VIDEO_FRAMES && !basisFile.isUASTC() ?
+      firstImage : 0;
+
     // Transcode each mip level.
     for (let levelIndex = 0; levelIndex < levels; ++levelIndex) {
+      options.onProgress({stage: 'transcoding', level: levelIndex, levelCount: levels});
+
       const level = textureData.getLevel(levelIndex, {
-        width: basisFile.getImageWidth(0, levelIndex),
-        height: basisFile.getImageHeight(0, levelIndex),
+        width: basisFile.getImageWidth(firstImage, levelIndex),
+        height: basisFile.getImageHeight(firstImage, levelIndex),
       });
 
-      for (let sliceIndex = 0; sliceIndex < images; ++sliceIndex) {
-        const transcodeSize = basisFile.getImageTranscodedSizeInBytes(sliceIndex, levelIndex, basisFormat);
+      for (let frameIndex = 0; frameIndex < precedingFrames; ++frameIndex) {
+        const frameData = new Uint8Array(basisFile.getImageTranscodedSizeInBytes(frameIndex, levelIndex, basisFormat));
+        if (!basisFile.transcodeImage(frameData, frameIndex, levelIndex, basisFormat, 1, 0)) {
+          throw new Error('transcodeImage failed');
+        }
+      }
+
+      for (let sliceIndex = 0; sliceIndex < layout.imageCount; ++sliceIndex) {
+        const imageIndex = firstImage + sliceIndex;
+        const transcodeSize = basisFile.getImageTranscodedSizeInBytes(imageIndex, levelIndex, basisFormat);
         const levelData = new Uint8Array(transcodeSize);
-        if (!basisFile.transcodeImage(levelData, sliceIndex, levelIndex, basisFormat, 1, 0)) {
+        if (!basisFile.transcodeImage(levelData, imageIndex, levelIndex, basisFormat, 1, 0)) {
           throw new Error('transcodeImage failed');
         }
         level.setSlice(sliceIndex, levelData);
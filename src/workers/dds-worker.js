@@ -29,6 +29,9 @@ const DDSCAPS2_CUBEMAP_POSITIVEY = 0x1000;
 const DDSCAPS2_CUBEMAP_NEGATIVEY = 0x2000;
 const DDSCAPS2_CUBEMAP_POSITIVEZ = 0x4000;
 const DDSCAPS2_CUBEMAP_NEGATIVEZ = 0x8000;
+const DDSCAPS2_CUBEMAP_ALLFACES = DDSCAPS2_CUBEMAP_POSITIVEX | DDSCAPS2_CUBEMAP_NEGATIVEX |
+                                  DDSCAPS2_CUBEMAP_POSITIVEY | DDSCAPS2_CUBEMAP_NEGATIVEY |
+                                  DDSCAPS2_CUBEMAP_POSITIVEZ | DDSCAPS2_CUBEMAP_NEGATIVEZ;
 const DDSCAPS2_VOLUME = 0x200000;
 
 const DDPF_ALPHAPIXELS = 0x1;
@@ -64,8 +67,118 @@ const FOURCC_DXT1 = fourCCToInt32('DXT1');
 const FOURCC_DXT3 = fourCCToInt32('DXT3');
 const FOURCC_DXT5 = fourCCToInt32('DXT5');
 const FOURCC_ETC1 = fourCCToInt32('ETC1');
+const FOURCC_ATI1 = fourCCToInt32('ATI1');
+const FOURCC_BC4U = fourCCToInt32('BC4U');
+const FOURCC_BC4S = fourCCToInt32('BC4S');
+const FOURCC_ATI2 = fourCCToInt32('ATI2');
+const FOURCC_BC5U = fourCCToInt32('BC5U');
+const FOURCC_BC5S = fourCCToInt32('BC5S');
+const FOURCC_DX10 = fourCCToInt32('DX10');
+
+// Floating point formats are identified by their D3DFORMAT value in place of a FourCC.
+const D3DFMT_FORMATS = {
+  111: {format: 'r16float', bytesPerPixel: 2}, // D3DFMT_R16F
+  112: {format: 'rg16float', bytesPerPixel: 4}, // D3DFMT_G16R16F
+  113: {format: 'rgba16float', bytesPerPixel: 8}, // D3DFMT_A16B16G16R16F
+  114: {format: 'r32float', bytesPerPixel: 4}, // D3DFMT_R32F
+  115: {format: 'rg32float', bytesPerPixel: 8}, // D3DFMT_G32R32F
+  116: {format: 'rgba32float', bytesPerPixel: 16}, // D3DFMT_A32B32G32R32F
+};
+
+// Uncompressed formats described by their bit count and channel masks.
+// Formats which aren't supported by WebGL or WebGPU, like 'bgr5a1unorm', are converted by the transcoders in
+// worker-util.js.
+const BITMASK_FORMATS = [
+  {bitCount: 32, masks: [0xff, 0xff00, 0xff0000, 0xff000000], format: 'rgba8unorm'}, // A8B8G8R8
+  {bitCount: 32, masks: [0xff, 0xff00, 0xff0000, 0], format: 'rgba8unorm'}, // X8B8G8R8
+  {bitCount: 32, masks: [0xff0000, 0xff00, 0xff, 0xff000000], format: 'bgra8unorm'}, // A8R8G8B8
+  {bitCount: 32, masks: [0xff0000, 0xff00, 0xff, 0], format: 'bgra8unorm'}, // X8R8G8B8
+  {bitCount: 32, masks: [0x3ff, 0xffc00, 0x3ff00000, 0xc0000000], format: 'rgb10a2unorm'}, // A2B10G10R10
+  {bitCount: 32, masks: [0xffff, 0xffff0000, 0, 0], format: 'rg16unorm'}, // G16R16
+  {bitCount: 24, masks: [0xff, 0xff00, 0xff0000, 0], format: 'rgb8unorm'}, // B8G8R8
+  {bitCount: 24, masks: [0xff0000, 0xff00, 0xff, 0], format: 'bgr8unorm'}, // R8G8B8
+  {bitCount: 16, masks: [0xf800, 0x7e0, 0x1f, 0], format: 'rgb565unorm'}, // R5G6B5
+  {bitCount: 16, masks: [0x7c00, 0x3e0, 0x1f, 0x8000], format: 'bgr5a1unorm'}, // A1R5G5B5
+  {bitCount: 16, masks: [0xf00, 0xf0, 0xf, 0xf000], format: 'bgra4unorm'}, // A4R4G4B4
+  {bitCount: 16, masks: [0xff, 0xff00, 0, 0], format: 'rg8unorm'}, // G8R8
+  {bitCount: 16, masks: [0xff, 0, 0, 0xff00], format: 'rg8unorm', swizzle: 'rrrg'}, // A8L8
+  {bitCount: 16, masks: [0xffff, 0, 0, 0], format: 'r16unorm', swizzle: 'rrr1'}, // L16
+  {bitCount: 8, masks: [0xff, 0, 0, 0], format: 'r8unorm', swizzle: 'rrr1'}, // L8
+  {bitCount: 8, masks: [0, 0, 0, 0xff], format: 'a8unorm'}, // A8
+];
+
+// Luminance formats are stored in the red (and green) channels with a swizzle. When the applySwizzle option is set they
+// are expanded to the first of these four channel formats that's supported instead.
+const SWIZZLE_EXPANSIONS = {
+  'r8unorm': [
+    {format: 'rgba8unorm', SrcArray: Uint8Array, DstArray: Uint8Array, one: 0xff, convert: (value) => value},
+  ],
+  'rg8unorm': [
+    {format: 'rgba8unorm', SrcArray: Uint8Array, DstArray: Uint8Array, one: 0xff, convert: (value) => value},
+  ],
+  'r16unorm': [
+    {format: 'rgba16float', SrcArray: Uint16Array, DstArray: Uint16Array, one: 0x3c00, // 1.0 as a 16 bit float
+      convert: (value) => float32ToFloat16(value / 0xffff)},
+    {format: 'rgba32float', SrcArray: Uint16Array, DstArray: Float32Array, one: 1, convert: (value) => value / 0xffff},
+  ],
+};
+
+// Values from the DDS_HEADER_DXT10 structure
+const DDS_DIMENSION_TEXTURE1D = 2;
+const DDS_DIMENSION_TEXTURE2D = 3;
+const DDS_DIMENSION_TEXTURE3D = 4;
+
+const DDS_RESOURCE_MISC_TEXTURECUBE = 0x4;
+
+// DXGI_FORMAT values that can be loaded, and the WebTextureFormat each one maps to.
+// https://docs.microsoft.com/en-us/windows/win32/api/dxgiformat/ne-dxgiformat-dxgi_format
+const DXGI_FORMATS = {
+  2: {format: 'rgba32float', bytesPerPixel: 16}, // DXGI_FORMAT_R32G32B32A32_FLOAT
+  10: {format: 'rgba16float', bytesPerPixel: 8}, // DXGI_FORMAT_R16G16B16A16_FLOAT
+  16: {format: 'rg32float', bytesPerPixel: 8}, // DXGI_FORMAT_R32G32_FLOAT
+  24: {format: 'rgb10a2unorm', bytesPerPixel: 4}, // DXGI_FORMAT_R10G10B10A2_UNORM
+  26: {format: 'rg11b10ufloat', bytesPerPixel: 4}, // DXGI_FORMAT_R11G11B10_FLOAT
+  28: {format: 'rgba8unorm', bytesPerPixel: 4}, // DXGI_FORMAT_R8G8B8A8_UNORM
+  29: {format: 'rgba8unorm-srgb', bytesPerPixel: 4}, // DXGI_FORMAT_R8G8B8A8_UNORM_SRGB
+  34: {format: 'rg16float', bytesPerPixel: 4}, // DXGI_FORMAT_R16G16_FLOAT
+  35: {format: 'rg16unorm', bytesPerPixel: 4}, // DXGI_FORMAT_R16G16_UNORM
+  41: {format: 'r32float', bytesPerPixel: 4}, // DXGI_FORMAT_R32_FLOAT
+  49: {format: 'rg8unorm', bytesPerPixel: 2}, // DXGI_FORMAT_R8G8_UNORM
+  54: {format: 'r16float', bytesPerPixel: 2}, // DXGI_FORMAT_R16_FLOAT
+  56: {format: 'r16unorm', bytesPerPixel: 2}, // DXGI_FORMAT_R16_UNORM
+  61: {format: 'r8unorm', bytesPerPixel: 1}, // DXGI_FORMAT_R8_UNORM
+  65: {format: 'a8unorm', bytesPerPixel: 1}, // DXGI_FORMAT_A8_UNORM
+  71: {format: 'bc1-rgba-unorm', blockBytes: 8}, // DXGI_FORMAT_BC1_UNORM
+  72: {format: 'bc1-rgba-unorm-srgb', blockBytes: 8}, // DXGI_FORMAT_BC1_UNORM_SRGB
+  74: {format: 'bc2-rgba-unorm', blockBytes: 16}, // DXGI_FORMAT_BC2_UNORM
+  75: {format: 'bc2-rgba-unorm-srgb', blockBytes: 16}, // DXGI_FORMAT_BC2_UNORM_SRGB
+  77: {format: 'bc3-rgba-unorm', blockBytes: 16}, // DXGI_FORMAT_BC3_UNORM
+  78: {format: 'bc3-rgba-unorm-srgb', blockBytes: 16}, // DXGI_FORMAT_BC3_UNORM_SRGB
+  80: {format: 'bc4-r-unorm', blockBytes: 8}, // DXGI_FORMAT_BC4_UNORM
+  81: {format: 'bc4-r-snorm', blockBytes: 8}, // DXGI_FORMAT_BC4_SNORM
+  83: {format: 'bc5-rg-unorm', blockBytes: 16}, // DXGI_FORMAT_BC5_UNORM
+  84: {format: 'bc5-rg-snorm', blockBytes: 16}, // DXGI_FORMAT_BC5_SNORM
+  85: {format: 'rgb565unorm', bytesPerPixel: 2}, // DXGI_FORMAT_B5G6R5_UNORM
+  86: {format: 'bgr5a1unorm', bytesPerPixel: 2}, // DXGI_FORMAT_B5G5R5A1_UNORM
+  87: {format: 'bgra8unorm', bytesPerPixel: 4}, // DXGI_FORMAT_B8G8R8A8_UNORM
+  91: {format: 'bgra8unorm-srgb', bytesPerPixel: 4}, // DXGI_FORMAT_B8G8R8A8_UNORM_SRGB
+  95: {format: 'bc6h-rgb-ufloat', blockBytes: 16}, // DXGI_FORMAT_BC6H_UF16
+  96: {format: 'bc6h-rgb-float', blockBytes: 16}, // DXGI_FORMAT_BC6H_SF16
+  98: {format: 'bc7-rgba-unorm', blockBytes: 16}, // DXGI_FORMAT_BC7_UNORM
+  99: {format: 'bc7-rgba-unorm-srgb', blockBytes: 16}, // DXGI_FORMAT_BC7_UNORM_SRGB
+  115: {format: 'bgra4unorm', bytesPerPixel: 2}, // DXGI_FORMAT_B4G4R4A4_UNORM
+};
+
+const headerLengthInt = 32; // The magic number and header length in 32 bit ints
 
-const headerLengthInt = 31; // The header length in 32 bit ints
+// Expected values of the dwSize fields
+const DDS_HEADER_SIZE = 124;
+const DDS_PIXELFORMAT_SIZE = 32;
+
+// Direct3D 11 resource limits
+const MAX_TEXTURE_DIMENSION_2D = 16384;
+const MAX_TEXTURE_DIMENSION_3D = 2048;
+const MAX_TEXTURE_ARRAY_SIZE = 2048;
 
 // Offsets into the header array
 const off_magic = 0;
@@ -75,8 +188,10 @@ const off_flags = 2;
 const off_height = 3;
 const off_width = 4;
 
+const off_depth = 6;
 const off_mipmapCount = 7;
 
+const off_pfSize = 19;
 const off_pfFlags = 20;
 const off_pfFourCC = 21;
 const off_RGBBitCount = 22;
@@ -85,6 +200,16 @@ const off_GBitMask = 24;
 const off_BBitMask = 25;
 const off_ABitMask = 26;
 
+const off_caps2 = 28;
+
+const headerDX10LengthInt = 5; // The DX10 header length in 32 bit ints
+
+// Offsets into the DX10 header array
+const off_dxgiFormat = 0;
+const off_resourceDimension = 1;
+const off_miscFlag = 2;
+const off_arraySize = 3;
+
 // Little reminder for myself where the above values come from
 /* DDS_PIXELFORMAT {
     int32 dwSize; // offset: 19
@@ -112,6 +237,14 @@ DDS_HEADER {
     int32 dwCaps3;
     int32 dwCaps4;
     int32 dwReserved2; // offset 31
+};
+
+DDS_HEADER_DXT10 { // Only present if dwFourCC is 'DX10'
+    int32 dxgiFormat; // 0
+    int32 resourceDimension;
+    int32 miscFlag;
+    int32 arraySize;
+    int32 miscFlags2; // offset: 4
 };*/
 
 /**
@@ -195,30 +328,110 @@ function dxtToRgb565(src, src16Offset, width, height) {
 }
 
 /**
- * Parses a DDS file from the given arrayBuffer and uploads it into the currently bound texture
+ * Transcodes one level of a BC1 texture into RGB565. Levels that aren't a multiple of 4 pixels in size, such as the
+ * smallest mip levels, are decoded at their padded size and then cropped.
  *
- * @param {WebGLRenderingContext} gl WebGL rendering context
- * @param {WebGLCompressedTextureS3TC} ext WEBGL_compressed_texture_s3tc extension object
- * @param {TypedArray} buffer Array Buffer containing the DDS files data
- * @param {boolean} [loadMipmaps] If false only the top mipmap level will be loaded, otherwise all available mipmaps will be uploaded
+ * @param {Uint16Array} src - The file's contents as a Uint16Array.
+ * @param {number} src16Offset - Offset of the level's data, in 16 bit values.
+ * @param {number} width - Width of the level in pixels.
+ * @param {number} height - Height of the level in pixels.
+ * @returns {Uint16Array} - The level's RGB565 pixels.
+ */
+function dxtLevelToRgb565(src, src16Offset, width, height) {
+  const paddedWidth = Math.ceil(width / 4) * 4;
+  const paddedHeight = Math.ceil(height / 4) * 4;
+  const padded = dxtToRgb565(src, src16Offset, paddedWidth, paddedHeight);
+  if (paddedWidth == width && paddedHeight == height) {
+    return padded;
+  }
+
+  const dst = new Uint16Array(width * height);
+  for (let y = 0; y < height; ++y) {
+    dst.set(padded.subarray(y * paddedWidth, y * paddedWidth + width), y * width);
+  }
+  return dst;
+}
+
+/**
+ * Expands single or two channel luminance data to four channels by applying it's swizzle.
  *
- * @returns {number} Number of mipmaps uploaded, 0 if there was an error
+ * @param {ArrayBuffer} buffer - Contents of the DDS file.
+ * @param {number} byteOffset - Offset of the image data.
+ * @param {number} byteLength - Length of the image data.
+ * @param {object} expansion - Layout of the source and destination data, from SWIZZLE_EXPANSIONS.
+ * @param {string} swizzle - Source of each output channel: 'r', 'g', or '1'.
+ * @returns {Uint8Array|Uint16Array|Float32Array} - The expanded image data.
  */
-function parseFile(buffer, supportedFormats, mipmaps) {
-  const header = new Int32Array(buffer, 0, headerLengthInt);
+function expandSwizzle(buffer, byteOffset, byteLength, expansion, swizzle) {
+  const src = new expansion.SrcArray(buffer, byteOffset, byteLength / expansion.SrcArray.BYTES_PER_ELEMENT);
+  const channelCount = swizzle.indexOf('g') > -1 ? 2 : 1;
+  const pixelCount = src.length / channelCount;
+  const dst = new expansion.DstArray(pixelCount * 4);
+  for (let channel = 0; channel < 4; ++channel) {
+    const source = swizzle[channel];
+    const sourceChannel = source == 'g' ? 1 : 0;
+    for (let i = 0; i < pixelCount; ++i) {
+      dst[i * 4 + channel] = source == '1' ? expansion.one : expansion.convert(src[i * channelCount + sourceChannel]);
+    }
+  }
+  return dst;
+}
+
+/**
+ * Throws a TextureParseError if a header dimension is zero or larger than the given limit.
+ *
+ * @param {string} field - Name of the header field.
+ * @param {number} value - Value of the header field.
+ * @param {number} limit - Largest allowed value.
+ */
+function validateDimension(field, value, limit) {
+  if (value < 1 || value > limit) {
+    throw new TextureParseError(`Invalid DDS ${field}: ${value}, must be between 1 and ${limit}`, field);
+  }
+}
 
-  if(header[off_magic] != DDS_MAGIC) {
-    throw new Error('Invalid magic number in DDS header');
+/**
+ * Parses a DDS file from the given arrayBuffer into a WorkerTextureData.
+ * Malformed files throw a TextureParseError naming the header field or level that was invalid.
+ *
+ * @param {ArrayBuffer} buffer Array Buffer containing the DDS files data
+ * @param {Array<string>} supportedFormats Formats that the texture can be loaded as
+ * @param {boolean} [mipmaps] If false only the top mipmap level will be loaded, otherwise all available mipmaps will be
+ * loaded
+ * @param {object} options Additional options for the request
+ * @param {boolean} options.applySwizzle True if luminance textures should be expanded to four channels
+ *
+ * @returns {WorkerTextureData} The texture data contained in the file
+ */
+function parseFile(buffer, supportedFormats, mipmaps, options) {
+  if (buffer.byteLength < headerLengthInt * 4) {
+    throw new TextureParseError(`File is too small to be a DDS file: ${buffer.byteLength} bytes`, 'dwSize');
+  }
+
+  const header = new Uint32Array(buffer, 0, headerLengthInt);
+
+  if (header[off_magic] != DDS_MAGIC) {
+    throw new TextureParseError('Invalid magic number in DDS header', 'dwMagic');
   }
 
-  if(!header[off_pfFlags] & DDPF_FOURCC) {
-    throw new Error('Unsupported format, must contain a FourCC code');
+  if (header[off_size] != DDS_HEADER_SIZE) {
+    throw new TextureParseError(`Invalid DDS header size: ${header[off_size]}`, 'dwSize');
   }
 
-  const fourCC = header[off_pfFourCC];
+  if (header[off_pfSize] != DDS_PIXELFORMAT_SIZE) {
+    throw new TextureParseError(`Invalid DDS pixel format size: ${header[off_pfSize]}`, 'ddspf.dwSize');
+  }
+
+  // The FourCC is only meaningful if the flags say so, otherwise the format is described by the bitmasks.
+  const fourCC = header[off_pfFlags] & DDPF_FOURCC ? header[off_pfFourCC] : 0;
   let blockBytes = 0;
   let bytesPerPixel = 0;
   let internalFormat = 'unknown';
+  let dataOffset = header[off_size] + 4;
+  let type = '2d';
+  let layerCount = 1;
+  let depth = 1;
+  let swizzle = null;
   switch(fourCC) {
     case FOURCC_DXT1:
       blockBytes = 8;
@@ -240,85 +453,216 @@ function parseFile(buffer, supportedFormats, mipmaps) {
       internalFormat = 'etc1-rgb-unorm';
       break;
 
+    case FOURCC_ATI1:
+    case FOURCC_BC4U:
+      blockBytes = 8;
+      internalFormat = 'bc4-r-unorm';
+      break;
+
+    case FOURCC_BC4S:
+      blockBytes = 8;
+      internalFormat = 'bc4-r-snorm';
+      break;
+
+    case FOURCC_ATI2:
+    case FOURCC_BC5U:
+      blockBytes = 16;
+      internalFormat = 'bc5-rg-unorm';
+      break;
+
+    case FOURCC_BC5S:
+      blockBytes = 16;
+      internalFormat = 'bc5-rg-snorm';
+      break;
+
+    case FOURCC_DX10: {
+      if (buffer.byteLength < dataOffset + headerDX10LengthInt * 4) {
+        throw new TextureParseError('File is too small to contain a DX10 header', 'DDS_HEADER_DXT10');
+      }
+      const dx10Header = new Uint32Array(buffer, dataOffset, headerDX10LengthInt);
+      dataOffset += headerDX10LengthInt * 4;
+
+      const dxgiFormat = DXGI_FORMATS[dx10Header[off_dxgiFormat]];
+      if (!dxgiFormat) {
+        throw new TextureParseError(`Unsupported DXGI format: ${dx10Header[off_dxgiFormat]}`, 'dxgiFormat');
+      }
+      internalFormat = dxgiFormat.format;
+      blockBytes = dxgiFormat.blockBytes || 0;
+      bytesPerPixel = dxgiFormat.bytesPerPixel || 0;
+
+      if (dx10Header[off_arraySize] < 1 || dx10Header[off_arraySize] > MAX_TEXTURE_ARRAY_SIZE) {
+        throw new TextureParseError(`Invalid DX10 array size: ${dx10Header[off_arraySize]}`, 'arraySize');
+      }
+
+      // 1D textures are loaded as 2D textures with a height of 1.
+      switch (dx10Header[off_resourceDimension]) {
+        case DDS_DIMENSION_TEXTURE1D:
+        case DDS_DIMENSION_TEXTURE2D:
+          if (dx10Header[off_miscFlag] & DDS_RESOURCE_MISC_TEXTURECUBE) {
+            if (dx10Header[off_arraySize] > 1) {
+              throw new TextureParseError('Cube map array DDS textures are not supported', 'arraySize');
+            }
+            type = 'cube';
+            layerCount = 6;
+          } else if (dx10Header[off_arraySize] > 1) {
+            type = '2d-array';
+            layerCount = dx10Header[off_arraySize];
+          }
+          break;
+        case DDS_DIMENSION_TEXTURE3D:
+          type = '3d';
+          depth = Math.max(1, header[off_depth]);
+          break;
+        default:
+          throw new TextureParseError(
+              `Invalid DX10 resource dimension: ${dx10Header[off_resourceDimension]}`, 'resourceDimension');
+      }
+      break;
+    }
+
     default: {
-      const bitCount = header[off_RGBBitCount];
-      const rBitMask = header[off_RBitMask];
-      const gBitMask = header[off_GBitMask];
-      const bBitMask = header[off_BBitMask];
-      const aBitMask = header[off_ABitMask];
-
-      if (bitCount === 32) {
-        if (rBitMask & 0xff &&
-            gBitMask & 0xff00 &&
-            bBitMask & 0xff0000) {
-          internalFormat = 'rgba8unorm';
-          bytesPerPixel = 4;
-        } else if (rBitMask & 0xff0000 &&
-                   gBitMask & 0xff00 &&
-                   bBitMask & 0xff) {
-          internalFormat = 'bgra8unorm';
-          bytesPerPixel = 4;
-        }
-      } else if (bitCount === 24) {
-        if (rBitMask & 0xff0000 &&
-            gBitMask & 0xff00 &&
-            bBitMask & 0xff) {
-          internalFormat = 'rgb8unorm';
-          bytesPerPixel = 3;
+      if (fourCC) {
+        const d3dFormat = D3DFMT_FORMATS[fourCC];
+        if (!d3dFormat) {
+          throw new TextureParseError(`Unsupported DDS FourCC: ${int32ToFourCC(fourCC)} (${fourCC})`, 'ddspf.dwFourCC');
         }
+        internalFormat = d3dFormat.format;
+        bytesPerPixel = d3dFormat.bytesPerPixel;
+        break;
+      }
+
+      const bitCount = header[off_RGBBitCount];
+      const masks = [
+        header[off_RBitMask],
+        header[off_GBitMask],
+        header[off_BBitMask],
+        header[off_ABitMask],
+      ];
+      const bitmaskFormat = BITMASK_FORMATS.find((candidate) => {
+        return candidate.bitCount === bitCount && candidate.masks.every((mask, i) => mask === masks[i]);
+      });
+      if (!bitmaskFormat) {
+        const maskList = masks.map((mask) => `0x${mask.toString(16)}`).join(', ');
+        throw new TextureParseError(`Unsupported DDS pixel format: ${bitCount} bits with masks ${maskList}`,
+            'ddspf.dwRGBBitCount');
       }
+      internalFormat = bitmaskFormat.format;
+      bytesPerPixel = bitCount / 8;
+      swizzle = bitmaskFormat.swizzle || null;
+    }
+  }
 
-      // TODO: A lot more possible formats to cover here.
+  // Files without a DX10 header describe cube maps and volumes with the dwCaps2 flags instead.
+  if (fourCC != FOURCC_DX10) {
+    const caps2 = header[off_caps2];
+    if (caps2 & DDSCAPS2_CUBEMAP) {
+      if ((caps2 & DDSCAPS2_CUBEMAP_ALLFACES) != DDSCAPS2_CUBEMAP_ALLFACES) {
+        throw new TextureParseError('Cube map DDS textures must contain all six faces', 'dwCaps2');
+      }
+      type = 'cube';
+      layerCount = 6;
+    } else if (caps2 & DDSCAPS2_VOLUME) {
+      type = '3d';
+      depth = Math.max(1, header[off_depth]);
     }
   }
 
-  let width = header[off_width];
-  let height = header[off_height];
-  let dataOffset = header[off_size] + 4;
+  const width = header[off_width];
+  const height = header[off_height];
+  const maxDimension = type == '3d' ? MAX_TEXTURE_DIMENSION_3D : MAX_TEXTURE_DIMENSION_2D;
+  validateDimension('dwWidth', width, maxDimension);
+  validateDimension('dwHeight', height, maxDimension);
+  if (type == '3d') {
+    validateDimension('dwDepth', depth, maxDimension);
+  }
+  if (type == 'cube' && width != height) {
+    throw new TextureParseError(`Cube map faces must be square, got ${width}x${height}`, 'dwHeight');
+  }
+
+  let levelCount = 1;
+  if (header[off_flags] & DDSD_MIPMAPCOUNT) {
+    levelCount = Math.max(1, header[off_mipmapCount]);
+  }
+  const maxLevelCount = Math.floor(Math.log2(Math.max(width, height, depth))) + 1;
+  if (levelCount > maxLevelCount) {
+    throw new TextureParseError(
+        `Invalid DDS mipmap count: ${levelCount}, a ${width}x${height} texture has at most ${maxLevelCount}`,
+        'dwMipMapCount');
+  }
 
+  let decodeToRgb565 = false;
   if (supportedFormats.indexOf(internalFormat) == -1) {
     if (internalFormat === 'bc1-rgb-unorm' && supportedFormats.indexOf('rgb565unorm') != -1) {
       // Allow a fallback to rgb565 if it's bc1 and we don't support it natively.
-      internalFormat = 'rgb565unorm';
-      bytesPerPixel = 2;
-      buffer = dxtToRgb565(new Uint16Array(buffer), dataOffset / 2, width, height).buffer;
-      dataOffset = 0;
+      decodeToRgb565 = true;
     } else {
-      throw new Error(`Unsupported
-       texture format: ${int32ToFourCC(fourCC)} ${internalFormat}`);
+      throw new Error(`Unsupported texture format: ${internalFormat}`);
     }
   }
 
-  if (blockBytes == 0) {
-    return new WorkerTextureData({
-      format: internalFormat, width, height,
-      imageData: buffer,
-      imageDataOptions: {
-        byteOffset: dataOffset,
-        byteLength: width * height * bytesPerPixel
-      }
-    });
+  // The swizzle is only applied if the four channel format is supported, otherwise it's left for the renderer.
+  let expansion = null;
+  if (swizzle && options.applySwizzle) {
+    const expansions = SWIZZLE_EXPANSIONS[internalFormat] || [];
+    expansion = expansions.find((candidate) => supportedFormats.indexOf(candidate.format) != -1) || null;
   }
 
-  let mipmapCount = 1;
-  if(header[off_flags] & DDSD_MIPMAPCOUNT && mipmaps !== false) {
-      mipmapCount = Math.max(1, header[off_mipmapCount]);
+  let format = internalFormat;
+  if (decodeToRgb565) {
+    format = 'rgb565unorm';
+  } else if (expansion) {
+    format = expansion.format;
   }
 
-  const textureData = new WorkerTextureData({format: internalFormat, width, height});
-  for(let level = 0; level < mipmapCount; ++level) {
-    const textureLevel = textureData.getLevel(level);
-    const byteLength = blockBytes ? Math.max(4, width)/4 * Math.max(4, height)/4 * blockBytes :
-                                    width * height * 4;
+  // Every level of every layer still has to be stepped over to find the next layer, even if only some are loaded.
+  const loadedLevelCount = mipmaps !== false ? levelCount : 1;
+
+  const textureData = new WorkerTextureData({
+    format,
+    type,
+    width,
+    height,
+    depth: type == '3d' ? depth : layerCount,
+    // The swizzle has been applied if the data was expanded, so renderers don't need to know about it.
+    swizzle: expansion ? null : swizzle,
+  });
+  const rgb565Source = decodeToRgb565 ? new Uint16Array(buffer, 0, buffer.byteLength >> 1) : null;
+
+  // Data is stored as every level of the first layer (or cube face), followed by every level of the next layer, etc.
+  // Each level of a volume texture contains all of that level's depth slices.
+  for (let layer = 0; layer < layerCount; ++layer) {
+    for (let level = 0; level < levelCount; ++level) {
+      const levelWidth = Math.max(1, width >> level);
+      const levelHeight = Math.max(1, height >> level);
+      const levelDepth = type == '3d' ? Math.max(1, depth >> level) : 1;
+      const byteLength = blockBytes ?
+          Math.ceil(levelWidth / 4) * Math.ceil(levelHeight / 4) * blockBytes :
+          levelWidth * levelHeight * bytesPerPixel;
+
+      if (dataOffset + byteLength * levelDepth > buffer.byteLength) {
+        const location = layerCount > 1 ? `Level ${level} of layer ${layer}` : `Level ${level}`;
+        throw new TextureParseError(`${location} extends past the end of the file: needs ${byteLength * levelDepth} ` +
+            `bytes at offset ${dataOffset}, but the file is ${buffer.byteLength} bytes`, 'data');
+      }
 
-    textureLevel.setSlice(0, buffer, {
-      byteOffset: dataOffset,
-      byteLength
-    });
+      if (level < loadedLevelCount) {
+        const textureLevel = textureData.getLevel(level);
+        for (let z = 0; z < levelDepth; ++z) {
+          const sliceIndex = type == '3d' ? z : layer;
+          const sliceOffset = dataOffset + z * byteLength;
+          if (decodeToRgb565) {
+            const levelData = dxtLevelToRgb565(rgb565Source, sliceOffset / 2, levelWidth, levelHeight);
+            textureLevel.setSlice(sliceIndex, levelData);
+          } else if (expansion) {
+            textureLevel.setSlice(sliceIndex, expandSwizzle(buffer, sliceOffset, byteLength, expansion, swizzle));
+          } else {
+            textureLevel.setSlice(sliceIndex, buffer, {byteOffset: sliceOffset, byteLength});
+          }
+        }
+      }
 
-    dataOffset += byteLength;
-    width = Math.max(1, Math.ceil(width / 2));
-    height = Math.max(1, Math.ceil(height / 2));
+      dataOffset += byteLength * levelDepth;
+    }
   }
 
   return textureData;
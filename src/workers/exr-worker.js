@@ -0,0 +1,1131 @@
+/**
+ * @file Web Worker for loading OpenEXR texture files
+ * @module EXRWorker
+ */
+
+importScripts('./worker-util.js');
+
+// Format referenced from the OpenEXR file layout documentation and reference implementation:
+// https://openexr.com/en/latest/OpenEXRFileLayout.html
+// https://github.com/AcademySoftwareFoundation/openexr
+const EXR_MAGIC = 20000630;
+const EXR_VERSION = 2;
+
+const EXR_FLAG_TILED = 0x200;
+const EXR_FLAG_DEEP = 0x800;
+const EXR_FLAG_MULTIPART = 0x1000;
+
+const MAX_TEXTURE_DIMENSION_2D = 16384;
+
+const PIXEL_TYPE_UINT = 0;
+const PIXEL_TYPE_HALF = 1;
+const PIXEL_TYPE_FLOAT = 2;
+const PIXEL_TYPE_SIZES = {
+  [PIXEL_TYPE_UINT]: 4,
+  [PIXEL_TYPE_HALF]: 2,
+  [PIXEL_TYPE_FLOAT]: 4,
+};
+
+const COMPRESSION_NONE = 0;
+const COMPRESSION_RLE = 1;
+const COMPRESSION_ZIPS = 2;
+const COMPRESSION_ZIP = 3;
+const COMPRESSION_PIZ = 4;
+const COMPRESSION_NAMES = ['NONE', 'RLE', 'ZIPS', 'ZIP', 'PIZ', 'PXR24', 'B44', 'B44A', 'DWAA', 'DWAB'];
+
+// Number of scanlines stored in each chunk of a scanline image, for each supported compression mode.
+const COMPRESSION_SCANLINES = {
+  [COMPRESSION_NONE]: 1,
+  [COMPRESSION_RLE]: 1,
+  [COMPRESSION_ZIPS]: 1,
+  [COMPRESSION_ZIP]: 16,
+  [COMPRESSION_PIZ]: 32,
+};
+
+const LEVEL_MODE_ONE_LEVEL = 0;
+const LEVEL_MODE_MIPMAP = 1;
+const LEVEL_MODE_RIPMAP = 2;
+const LEVEL_ROUND_UP = 1;
+
+// Values of the channels that the file doesn't contain, by the index of the output channel they'd be stored in.
+const MISSING_CHANNEL_VALUES = [0, 0, 0, 1];
+
+/**
+ * Reads a null terminated string.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @param {number} offset - Offset of the string.
+ * @param {number} end - Offset that the string must be terminated before.
+ * @param {string} field - Part of the file being read, for error messages.
+ * @returns {Array} - The string, and the offset after it's terminator.
+ */
+function readString(bytes, offset, end, field) {
+  const terminator = bytes.subarray(0, end).indexOf(0, offset);
+  if (terminator == -1) {
+    throw new TextureParseError('File ended before the end of the EXR header', field);
+  }
+  return [new TextDecoder().decode(bytes.subarray(offset, terminator)), terminator + 1];
+}
+
+/**
+ * Reads the value of a chlist attribute.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @param {DataView} view - View of the file contents.
+ * @param {number} offset - Offset of the attribute value.
+ * @param {number} end - Offset of the end of the attribute value.
+ * @returns {Array<object>} - The name, pixel type, and sampling of each channel, in the order they're stored.
+ */
+function readChannelList(bytes, view, offset, end) {
+  const channels = [];
+  while (true) {
+    let name;
+    [name, offset] = readString(bytes, offset, end, 'channels');
+    if (!name) {
+      return channels;
+    }
+    if (offset + 16 > end) {
+      throw new TextureParseError('Invalid EXR channel list', 'channels');
+    }
+    const channel = {
+      name,
+      pixelType: view.getInt32(offset, true),
+      xSampling: view.getInt32(offset + 8, true),
+      ySampling: view.getInt32(offset + 12, true),
+    };
+    if (!PIXEL_TYPE_SIZES[channel.pixelType]) {
+      throw new TextureParseError(`Unknown pixel type for EXR channel ${name}: ${channel.pixelType}`, 'channels');
+    }
+    if (channel.xSampling != 1 || channel.ySampling != 1) {
+      throw new TextureParseError(`Subsampled EXR channels are not supported: ${name}`, 'channels');
+    }
+    channels.push(channel);
+    offset += 16;
+  }
+}
+
+/**
+ * Reads the header of a single part EXR file.
+ * Malformed headers throw a TextureParseError naming the attribute that was invalid.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @param {DataView} view - View of the file contents.
+ * @returns {object} - The attributes needed to read the image, and the offset of the chunk offset table.
+ */
+function readHeader(bytes, view) {
+  if (bytes.length < 8 || view.getUint32(0, true) != EXR_MAGIC) {
+    throw new TextureParseError('Invalid magic number in EXR header', 'magic');
+  }
+
+  const version = view.getUint32(4, true);
+  if ((version & 0xff) != EXR_VERSION) {
+    throw new TextureParseError(`Unsupported EXR version: ${version & 0xff}`, 'version');
+  }
+  if (version & (EXR_FLAG_DEEP | EXR_FLAG_MULTIPART)) {
+    throw new TextureParseError('Deep and multi-part EXR files are not supported', 'version');
+  }
+
+  const header = {tiled: !!(version & EXR_FLAG_TILED)};
+  let offset = 8;
+  while (true) {
+    let name;
+    let type;
+    [name, offset] = readString(bytes, offset, bytes.length, 'header');
+    if (!name) {
+      break;
+    }
+    [type, offset] = readString(bytes, offset, bytes.length, name);
+    if (offset + 4 > bytes.length) {
+      throw new TextureParseError('File ended before the end of the EXR header', name);
+    }
+    const size = view.getInt32(offset, true);
+    offset += 4;
+    const end = offset + size;
+    if (size < 0 || end > bytes.length) {
+      throw new TextureParseError(`Invalid size for EXR attribute ${name}: ${size}`, name);
+    }
+
+    switch (name) {
+      case 'channels':
+        if (type != 'chlist') {
+          throw new TextureParseError(`Invalid type for EXR attribute ${name}: ${type}`, name);
+        }
+        header.channels = readChannelList(bytes, view, offset, end);
+        break;
+      case 'compression':
+        if (size < 1) {
+          throw new TextureParseError(`Invalid size for EXR attribute ${name}: ${size}`, name);
+        }
+        header.compression = bytes[offset];
+        break;
+      case 'dataWindow':
+        if (size < 16) {
+          throw new TextureParseError(`Invalid size for EXR attribute ${name}: ${size}`, name);
+        }
+        header.dataWindow = {
+          xMin: view.getInt32(offset, true),
+          yMin: view.getInt32(offset + 4, true),
+          xMax: view.getInt32(offset + 8, true),
+          yMax: view.getInt32(offset + 12, true),
+        };
+        break;
+      case 'tiles':
+        if (size < 9) {
+          throw new TextureParseError(`Invalid size for EXR attribute ${name}: ${size}`, name);
+        }
+        header.tiles = {
+          width: view.getUint32(offset, true),
+          height: view.getUint32(offset + 4, true),
+          levelMode: bytes[offset + 8] & 0xf,
+          roundingMode: bytes[offset + 8] >> 4,
+        };
+        break;
+    }
+    offset = end;
+  }
+
+  for (const name of ['channels', 'compression', 'dataWindow']) {
+    if (header[name] === undefined) {
+      throw new TextureParseError(`EXR header is missing the ${name} attribute`, name);
+    }
+  }
+  if (header.tiled && !header.tiles) {
+    throw new TextureParseError('Tiled EXR header is missing the tiles attribute', 'tiles');
+  }
+  if (COMPRESSION_SCANLINES[header.compression] === undefined) {
+    const compression = COMPRESSION_NAMES[header.compression] || header.compression;
+    throw new TextureParseError(`Unsupported EXR compression: ${compression}`, 'compression');
+  }
+
+  header.width = header.dataWindow.xMax - header.dataWindow.xMin + 1;
+  header.height = header.dataWindow.yMax - header.dataWindow.yMin + 1;
+  for (const [field, value] of [['width', header.width], ['height', header.height]]) {
+    if (!(value >= 1 && value <= MAX_TEXTURE_DIMENSION_2D)) {
+      throw new TextureParseError(
+          `Invalid EXR ${field}: ${value}, must be between 1 and ${MAX_TEXTURE_DIMENSION_2D}`, 'dataWindow');
+    }
+  }
+
+  if (header.tiled) {
+    const tiles = header.tiles;
+    if (!tiles.width || !tiles.height || tiles.width > MAX_TEXTURE_DIMENSION_2D ||
+        tiles.height > MAX_TEXTURE_DIMENSION_2D) {
+      throw new TextureParseError(`Invalid EXR tile size: ${tiles.width}x${tiles.height}`, 'tiles');
+    }
+    if (tiles.levelMode > LEVEL_MODE_RIPMAP) {
+      throw new TextureParseError(`Unknown EXR level mode: ${tiles.levelMode}`, 'tiles');
+    }
+  }
+
+  header.offset = offset;
+  return header;
+}
+
+/**
+ * Picks the channels of the file to load into each channel of the texture.
+ *
+ * @param {Array<object>} channels - Channels in the file.
+ * @param {string|Array<string>|null} selection - The exrChannels option. A list of channel names, the name of a layer,
+ * or null for the default layer.
+ * @returns {Array<number>} - For each channel of the texture, the index of the file channel to load into it, or -1 to
+ * fill it with a constant. Contains 1, 2, or 4 entries.
+ */
+function selectChannels(channels, selection) {
+  const findChannel = (name) => channels.findIndex((channel) => channel.name == name);
+
+  if (Array.isArray(selection)) {
+    if (!selection.length || selection.length > 4) {
+      throw new Error(`exrChannels must list between 1 and 4 channels, got ${selection.length}`);
+    }
+    const indices = selection.map((name) => {
+      const index = findChannel(name);
+      if (index == -1) {
+        throw new TextureParseError(`EXR file has no channel named ${name}`, 'channels');
+      }
+      return index;
+    });
+    // There's no three channel float format, so RGB is loaded as RGBA.
+    if (indices.length == 3) {
+      indices.push(-1);
+    }
+    return indices;
+  }
+
+  // Channels in a layer are named with the layer name as a prefix, such as 'diffuse.R'. Channels without a prefix make
+  // up the default layer.
+  const prefix = selection ? `${selection}.` : '';
+  const layerChannels = channels.filter((channel) => channel.name.startsWith(prefix) &&
+      channel.name.indexOf('.', prefix.length) == -1);
+  const [r, g, b, a] = ['R', 'G', 'B', 'A'].map((name) => findChannel(prefix + name));
+
+  if (b != -1 || a != -1) {
+    return [r, g, b, a];
+  }
+  if (g != -1) {
+    return [r, g];
+  }
+  if (r != -1) {
+    return [r];
+  }
+  // Layers with a single channel of some other name, such as depth (Z) or luminance (Y), are loaded into red.
+  if (layerChannels.length == 1) {
+    return [channels.indexOf(layerChannels[0])];
+  }
+
+  const channelNames = channels.map((channel) => channel.name).join(', ');
+  throw new TextureParseError(selection ?
+    `EXR layer ${selection} has no RGBA channels, file contains: ${channelNames}` :
+    `EXR file has no RGBA channels, use exrChannels to choose from: ${channelNames}`, 'channels');
+}
+
+/**
+ * Decodes RLE compressed data, where each run is a signed count followed by either that many literal bytes if it's
+ * negative, or a single byte repeated count + 1 times.
+ *
+ * @param {Uint8Array} data - Compressed data.
+ * @param {number} rawSize - Size of the data once decompressed.
+ * @returns {Uint8Array} - The decompressed data.
+ */
+function rleUncompress(data, rawSize) {
+  const raw = new Uint8Array(rawSize);
+  let offset = 0;
+  let rawOffset = 0;
+  while (offset < data.length) {
+    const count = (data[offset++] << 24) >> 24;
+    if (count < 0) {
+      if (offset - count > data.length || rawOffset - count > rawSize) {
+        throw new TextureParseError('Invalid RLE compressed EXR data', 'data');
+      }
+      raw.set(data.subarray(offset, offset - count), rawOffset);
+      offset -= count;
+      rawOffset -= count;
+    } else {
+      if (offset >= data.length || rawOffset + count + 1 > rawSize) {
+        throw new TextureParseError('Invalid RLE compressed EXR data', 'data');
+      }
+      raw.fill(data[offset++], rawOffset, rawOffset + count + 1);
+      rawOffset += count + 1;
+    }
+  }
+  if (rawOffset != rawSize) {
+    throw new TextureParseError('RLE compressed EXR data is shorter than expected', 'data');
+  }
+  return raw;
+}
+
+/**
+ * Inflates zlib compressed data.
+ *
+ * @param {Uint8Array} data - Compressed data.
+ * @param {number} rawSize - Size of the data once decompressed.
+ * @returns {Promise<Uint8Array>} - The decompressed data.
+ */
+async function zipUncompress(data, rawSize) {
+  let raw;
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+    raw = new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (err) {
+    throw new TextureParseError(`Invalid ZIP compressed EXR data: ${err.message}`, 'data');
+  }
+  if (raw.length != rawSize) {
+    throw new TextureParseError(`ZIP compressed EXR data has size ${raw.length}, expected ${rawSize}`, 'data');
+  }
+  return raw;
+}
+
+/**
+ * Undoes the byte reordering and delta encoding that RLE and ZIP compression apply before compressing. The encoder
+ * moves the even bytes of the data to the first half and the odd bytes to the second, then stores the difference
+ * between each byte and the one before it.
+ *
+ * @param {Uint8Array} data - Data decompressed with RLE or ZIP.
+ * @returns {Uint8Array} - The original data.
+ */
+function unpredictAndInterleave(data) {
+  for (let i = 1; i < data.length; ++i) {
+    data[i] = data[i - 1] + data[i] - 128;
+  }
+
+  const raw = new Uint8Array(data.length);
+  const half = (data.length + 1) >> 1;
+  for (let i = 0; i < data.length; ++i) {
+    raw[i] = data[(i >> 1) + (i & 1 ? half : 0)];
+  }
+  return raw;
+}
+
+// PIZ compression applies a wavelet transform to the data then Huffman codes it. Ported from ImfPizCompressor.cpp,
+// ImfHuf.cpp, and ImfWav.cpp in the OpenEXR reference implementation, which has a full description of both.
+const USHORT_RANGE = 1 << 16;
+const BITMAP_SIZE = USHORT_RANGE >> 3;
+
+const HUF_ENCSIZE = (1 << 16) + 1;
+const HUF_DECBITS = 14;
+const HUF_DECSIZE = 1 << HUF_DECBITS;
+const HUF_MAX_CODE_LENGTH = 58;
+
+const SHORT_ZEROCODE_RUN = 59;
+const LONG_ZEROCODE_RUN = 63;
+const SHORTEST_LONG_RUN = 2 + LONG_ZEROCODE_RUN - SHORT_ZEROCODE_RUN;
+
+// Huffman codes can be longer than 32 bits, so bits are read with floating point math rather than bitwise operators.
+const POW2 = Array.from({length: 64}, (value, i) => Math.pow(2, i));
+
+/**
+ * Reads a stream of bits, most significant bit first.
+ */
+class HufBitReader {
+  /**
+   * Creates a HufBitReader.
+   *
+   * @param {Uint8Array} bytes - Data to read.
+   * @param {number} offset - Offset of the first byte to read.
+   */
+  constructor(bytes, offset) {
+    this.bytes = bytes;
+    this.offset = offset;
+    this.bits = 0;
+    this.count = 0;
+  }
+
+  /**
+   * Reads the next byte into the buffered bits.
+   *
+   * @returns {void}
+   */
+  fill() {
+    if (this.offset >= this.bytes.length) {
+      throw new TextureParseError('PIZ compressed EXR data ended unexpectedly', 'data');
+    }
+    this.bits = (this.bits % POW2[this.count]) * 256 + this.bytes[this.offset++];
+    this.count += 8;
+  }
+
+  /**
+   * Returns the next bits without consuming them. At least that many bits must be buffered.
+   *
+   * @param {number} count - Number of bits.
+   * @returns {number} - The bits as an unsigned integer.
+   */
+  peek(count) {
+    return Math.floor(this.bits / POW2[this.count - count]) % POW2[count];
+  }
+
+  /**
+   * Consumes buffered bits.
+   *
+   * @param {number} count - Number of bits.
+   * @returns {void}
+   */
+  skip(count) {
+    this.count -= count;
+  }
+
+  /**
+   * Reads and consumes the next bits, buffering more bytes as needed.
+   *
+   * @param {number} count - Number of bits.
+   * @returns {number} - The bits as an unsigned integer.
+   */
+  read(count) {
+    while (this.count < count) {
+      this.fill();
+    }
+    const value = this.peek(count);
+    this.skip(count);
+    return value;
+  }
+}
+
+/**
+ * Reads the Huffman code lengths for each symbol from im to iM, which are packed as 6 bit values with runs of unused
+ * symbols combined.
+ *
+ * @param {HufBitReader} reader - Reader positioned at the start of the table.
+ * @param {number} im - Smallest symbol in the table.
+ * @param {number} iM - Largest symbol in the table.
+ * @returns {Uint8Array} - The code length of every symbol.
+ */
+function hufUnpackEncTable(reader, im, iM) {
+  const lengths = new Uint8Array(HUF_ENCSIZE);
+  for (let symbol = im; symbol <= iM; ++symbol) {
+    const length = reader.read(6);
+    let zeroRun = 0;
+    if (length == LONG_ZEROCODE_RUN) {
+      zeroRun = reader.read(8) + SHORTEST_LONG_RUN;
+    } else if (length >= SHORT_ZEROCODE_RUN) {
+      zeroRun = length - SHORT_ZEROCODE_RUN + 2;
+    } else {
+      lengths[symbol] = length;
+      continue;
+    }
+    if (symbol + zeroRun > iM + 1) {
+      throw new TextureParseError('Invalid Huffman table in PIZ compressed EXR data', 'data');
+    }
+    symbol += zeroRun - 1;
+  }
+  return lengths;
+}
+
+/**
+ * Assigns canonical Huffman codes to each symbol based on their lengths.
+ *
+ * @param {Uint8Array} lengths - The code length of every symbol.
+ * @returns {Uint32Array} - The code of every symbol.
+ */
+function hufCanonicalCodeTable(lengths) {
+  const counts = new Array(HUF_MAX_CODE_LENGTH + 1).fill(0);
+  for (const length of lengths) {
+    counts[length]++;
+  }
+
+  // For each length, the first code of that length. Codes of the longest length are numbered from 0, and each length's
+  // codes start after the prefixes of all longer codes.
+  let code = 0;
+  for (let length = HUF_MAX_CODE_LENGTH; length > 0; --length) {
+    const nextCode = (code + counts[length]) >> 1;
+    counts[length] = code;
+    code = nextCode;
+  }
+
+  const codes = new Uint32Array(HUF_ENCSIZE);
+  for (let symbol = 0; symbol < HUF_ENCSIZE; ++symbol) {
+    if (lengths[symbol]) {
+      codes[symbol] = counts[lengths[symbol]]++;
+    }
+  }
+  return codes;
+}
+
+/**
+ * Builds a table for decoding Huffman codes HUF_DECBITS bits at a time. Codes that fit in the table fill every entry
+ * that they're a prefix of. Longer codes are listed in the entry for their first HUF_DECBITS bits, and have to be
+ * searched for.
+ *
+ * @param {Uint8Array} lengths - The code length of every symbol.
+ * @param {Uint32Array} codes - The code of every symbol.
+ * @param {number} im - Smallest symbol in the table.
+ * @param {number} iM - Largest symbol in the table.
+ * @returns {object} - The length and symbol of the short code for each entry, and any long codes starting with it.
+ */
+function hufBuildDecTable(lengths, codes, im, iM) {
+  const table = {
+    lengths: new Uint8Array(HUF_DECSIZE),
+    symbols: new Uint32Array(HUF_DECSIZE),
+    longCodes: new Array(HUF_DECSIZE),
+  };
+
+  for (let symbol = im; symbol <= iM; ++symbol) {
+    const length = lengths[symbol];
+    const code = codes[symbol];
+    if (code >= POW2[length]) {
+      throw new TextureParseError('Invalid Huffman table in PIZ compressed EXR data', 'data');
+    }
+
+    if (length > HUF_DECBITS) {
+      const index = Math.floor(code / POW2[length - HUF_DECBITS]);
+      if (table.lengths[index]) {
+        throw new TextureParseError('Invalid Huffman table in PIZ compressed EXR data', 'data');
+      }
+      (table.longCodes[index] = table.longCodes[index] || []).push(symbol);
+    } else if (length) {
+      const start = code * POW2[HUF_DECBITS - length];
+      const end = start + POW2[HUF_DECBITS - length];
+      for (let index = start; index < end; ++index) {
+        if (table.lengths[index] || table.longCodes[index]) {
+          throw new TextureParseError('Invalid Huffman table in PIZ compressed EXR data', 'data');
+        }
+        table.lengths[index] = length;
+        table.symbols[index] = symbol;
+      }
+    }
+  }
+  return table;
+}
+
+/**
+ * Writes a decoded symbol to the output. The largest symbol in the table marks a run, where the previous value is
+ * repeated the number of times given in the following 8 bits.
+ *
+ * @param {number} symbol - Decoded symbol.
+ * @param {number} runSymbol - The symbol that marks a run.
+ * @param {HufBitReader} reader - Reader positioned after the symbol.
+ * @param {Uint16Array} out - Decoded values.
+ * @param {number} outIndex - Index to write the value at.
+ * @returns {number} - Index to write the next value at.
+ */
+function hufWriteSymbol(symbol, runSymbol, reader, out, outIndex) {
+  if (symbol == runSymbol) {
+    const count = reader.read(8);
+    if (!outIndex || outIndex + count > out.length) {
+      throw new TextureParseError('Invalid run in PIZ compressed EXR data', 'data');
+    }
+    out.fill(out[outIndex - 1], outIndex, outIndex + count);
+    return outIndex + count;
+  }
+  if (outIndex >= out.length) {
+    throw new TextureParseError('PIZ compressed EXR data is longer than expected', 'data');
+  }
+  out[outIndex] = symbol;
+  return outIndex + 1;
+}
+
+/**
+ * Decodes Huffman compressed data, which begins with the range of symbols used and the table of code lengths.
+ *
+ * @param {Uint8Array} data - Compressed data.
+ * @param {Uint16Array} out - Receives the decoded values.
+ * @returns {void}
+ */
+function hufUncompress(data, out) {
+  if (!data.length) {
+    if (out.length) {
+      throw new TextureParseError('PIZ compressed EXR data is shorter than expected', 'data');
+    }
+    return;
+  }
+  if (data.length < 20) {
+    throw new TextureParseError('PIZ compressed EXR data ended unexpectedly', 'data');
+  }
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const im = view.getUint32(0, true);
+  const iM = view.getUint32(4, true);
+  const bitCount = view.getUint32(12, true);
+  if (im >= HUF_ENCSIZE || iM >= HUF_ENCSIZE) {
+    throw new TextureParseError('Invalid Huffman table in PIZ compressed EXR data', 'data');
+  }
+
+  const tableReader = new HufBitReader(data, 20);
+  const lengths = hufUnpackEncTable(tableReader, im, iM);
+  const codes = hufCanonicalCodeTable(lengths);
+  const table = hufBuildDecTable(lengths, codes, im, iM);
+
+  const byteCount = Math.ceil(bitCount / 8);
+  if (tableReader.offset + byteCount > data.length) {
+    throw new TextureParseError('PIZ compressed EXR data ended unexpectedly', 'data');
+  }
+
+  const reader = new HufBitReader(data.subarray(0, tableReader.offset + byteCount), tableReader.offset);
+  let outIndex = 0;
+  while (reader.offset < reader.bytes.length) {
+    reader.fill();
+    while (reader.count >= HUF_DECBITS) {
+      const index = reader.peek(HUF_DECBITS);
+      if (table.lengths[index]) {
+        reader.skip(table.lengths[index]);
+        outIndex = hufWriteSymbol(table.symbols[index], iM, reader, out, outIndex);
+        continue;
+      }
+
+      const longCodes = table.longCodes[index];
+      const symbol = longCodes && longCodes.find((symbol) => {
+        while (reader.count < lengths[symbol] && reader.offset < reader.bytes.length) {
+          reader.fill();
+        }
+        return reader.count >= lengths[symbol] && reader.peek(lengths[symbol]) == codes[symbol];
+      });
+      if (symbol === undefined) {
+        throw new TextureParseError('Invalid Huffman code in PIZ compressed EXR data', 'data');
+      }
+      reader.skip(lengths[symbol]);
+      outIndex = hufWriteSymbol(symbol, iM, reader, out, outIndex);
+    }
+  }
+
+  // The last byte is padded with unused low bits, and any codes left in the bits before that are shorter than
+  // HUF_DECBITS.
+  const padding = (8 - bitCount) & 7;
+  reader.bits = Math.floor(reader.bits / POW2[padding]);
+  reader.count -= padding;
+  while (reader.count > 0) {
+    const index = (reader.bits % POW2[reader.count]) * POW2[HUF_DECBITS - reader.count];
+    const length = table.lengths[index];
+    if (!length || length > reader.count) {
+      throw new TextureParseError('Invalid Huffman code in PIZ compressed EXR data', 'data');
+    }
+    reader.skip(length);
+    outIndex = hufWriteSymbol(table.symbols[index], iM, reader, out, outIndex);
+  }
+
+  if (outIndex != out.length) {
+    throw new TextureParseError('PIZ compressed EXR data is shorter than expected', 'data');
+  }
+}
+
+// Receives the two outputs of wdec14 and wdec16.
+const WAV_PAIR = new Uint16Array(2);
+
+/**
+ * Inverts one step of the wavelet transform used for values of 14 bits or less.
+ *
+ * @param {number} l - Low (average) value.
+ * @param {number} h - High (difference) value.
+ * @returns {void}
+ */
+function wdec14(l, h) {
+  const hs = (h << 16) >> 16;
+  const ai = ((l << 16) >> 16) + (hs & 1) + (hs >> 1);
+  WAV_PAIR[0] = ai;
+  WAV_PAIR[1] = ai - hs;
+}
+
+/**
+ * Inverts one step of the wavelet transform used for 16 bit values, which wraps around to avoid overflowing.
+ *
+ * @param {number} l - Low (average) value.
+ * @param {number} h - High (difference) value.
+ * @returns {void}
+ */
+function wdec16(l, h) {
+  const b = (l - (h >> 1)) & 0xffff;
+  WAV_PAIR[0] = (h + b - 0x8000) & 0xffff;
+  WAV_PAIR[1] = b;
+}
+
+/**
+ * Inverts the 2D Haar wavelet transform of a channel in place.
+ *
+ * @param {Uint16Array} buffer - Transformed values.
+ * @param {number} start - Index of the channel's first value.
+ * @param {number} nx - Width of the channel.
+ * @param {number} ox - Distance between horizontally adjacent values.
+ * @param {number} ny - Height of the channel.
+ * @param {number} oy - Distance between vertically adjacent values.
+ * @param {number} maxValue - Largest value in the data.
+ * @returns {void}
+ */
+function wav2Decode(buffer, start, nx, ox, ny, oy, maxValue) {
+  const wdec = maxValue < (1 << 14) ? wdec14 : wdec16;
+  const n = Math.min(nx, ny);
+  let p = 1;
+  while (p <= n) {
+    p <<= 1;
+  }
+  p >>= 1;
+  let p2 = p;
+  p >>= 1;
+
+  // Each level of the transform is inverted in turn, starting with the coarsest.
+  for (; p >= 1; p2 = p, p >>= 1) {
+    const ey = start + oy * (ny - p2);
+    const oy1 = oy * p;
+    const oy2 = oy * p2;
+    const ox1 = ox * p;
+    const ox2 = ox * p2;
+
+    let py = start;
+    for (; py <= ey; py += oy2) {
+      const ex = py + ox * (nx - p2);
+      let px = py;
+      for (; px <= ex; px += ox2) {
+        const p01 = px + ox1;
+        const p10 = px + oy1;
+        const p11 = p10 + ox1;
+
+        wdec(buffer[px], buffer[p10]);
+        const i00 = WAV_PAIR[0];
+        const i10 = WAV_PAIR[1];
+        wdec(buffer[p01], buffer[p11]);
+        const i01 = WAV_PAIR[0];
+        const i11 = WAV_PAIR[1];
+        wdec(i00, i01);
+        buffer[px] = WAV_PAIR[0];
+        buffer[p01] = WAV_PAIR[1];
+        wdec(i10, i11);
+        buffer[p10] = WAV_PAIR[0];
+        buffer[p11] = WAV_PAIR[1];
+      }
+
+      // Odd column
+      if (nx & p) {
+        const p10 = px + oy1;
+        wdec(buffer[px], buffer[p10]);
+        buffer[px] = WAV_PAIR[0];
+        buffer[p10] = WAV_PAIR[1];
+      }
+    }
+
+    // Odd line
+    if (ny & p) {
+      const ex = py + ox * (nx - p2);
+      for (let px = py; px <= ex; px += ox2) {
+        const p01 = px + ox1;
+        wdec(buffer[px], buffer[p01]);
+        buffer[px] = WAV_PAIR[0];
+        buffer[p01] = WAV_PAIR[1];
+      }
+    }
+  }
+}
+
+/**
+ * Decompresses PIZ compressed data. Values are stored as 16 bit words, with each channel stored separately, so 32 bit
+ * channels are two interleaved sets of words.
+ *
+ * @param {Uint8Array} data - Compressed data.
+ * @param {Array<object>} channels - Channels in the file.
+ * @param {number} width - Width of the chunk.
+ * @param {number} lineCount - Number of lines in the chunk.
+ * @param {number} rawSize - Size of the data once decompressed.
+ * @returns {Uint8Array} - The decompressed data.
+ */
+function pizUncompress(data, channels, width, lineCount, rawSize) {
+  if (data.length < 4) {
+    throw new TextureParseError('PIZ compressed EXR data ended unexpectedly', 'data');
+  }
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  // Bitmap of which 16 bit values occur in the data, which are mapped to consecutive values before compressing.
+  const minNonZero = view.getUint16(0, true);
+  const maxNonZero = view.getUint16(2, true);
+  let offset = 4;
+  if (maxNonZero >= BITMAP_SIZE) {
+    throw new TextureParseError('Invalid bitmap in PIZ compressed EXR data', 'data');
+  }
+  const bitmap = new Uint8Array(BITMAP_SIZE);
+  if (minNonZero <= maxNonZero) {
+    const bitmapLength = maxNonZero - minNonZero + 1;
+    if (offset + bitmapLength > data.length) {
+      throw new TextureParseError('PIZ compressed EXR data ended unexpectedly', 'data');
+    }
+    bitmap.set(data.subarray(offset, offset + bitmapLength), minNonZero);
+    offset += bitmapLength;
+  }
+
+  const lut = new Uint16Array(USHORT_RANGE);
+  let lutSize = 0;
+  for (let value = 0; value < USHORT_RANGE; ++value) {
+    if (!value || bitmap[value >> 3] & (1 << (value & 7))) {
+      lut[lutSize++] = value;
+    }
+  }
+  const maxValue = lutSize - 1;
+
+  if (offset + 4 > data.length) {
+    throw new TextureParseError('PIZ compressed EXR data ended unexpectedly', 'data');
+  }
+  const hufLength = view.getUint32(offset, true);
+  offset += 4;
+  if (offset + hufLength > data.length) {
+    throw new TextureParseError('PIZ compressed EXR data ended unexpectedly', 'data');
+  }
+
+  const words = new Uint16Array(rawSize / 2);
+  hufUncompress(data.subarray(offset, offset + hufLength), words);
+
+  const channelStarts = [];
+  let start = 0;
+  for (const channel of channels) {
+    const wordCount = PIXEL_TYPE_SIZES[channel.pixelType] / 2;
+    for (let i = 0; i < wordCount; ++i) {
+      wav2Decode(words, start + i, width, wordCount, lineCount, width * wordCount, maxValue);
+    }
+    channelStarts.push(start);
+    start += width * lineCount * wordCount;
+  }
+
+  for (let i = 0; i < words.length; ++i) {
+    words[i] = lut[words[i]];
+  }
+
+  // Interleave the channels line by line, as the other compression modes store them.
+  const raw = new Uint16Array(words.length);
+  let rawIndex = 0;
+  for (let line = 0; line < lineCount; ++line) {
+    channels.forEach((channel, channelIndex) => {
+      const lineWords = width * PIXEL_TYPE_SIZES[channel.pixelType] / 2;
+      const lineStart = channelStarts[channelIndex] + line * lineWords;
+      raw.set(words.subarray(lineStart, lineStart + lineWords), rawIndex);
+      rawIndex += lineWords;
+    });
+  }
+  return new Uint8Array(raw.buffer);
+}
+
+/**
+ * Decompresses a chunk of the file. Chunks which compression wouldn't have made smaller are stored uncompressed.
+ *
+ * @param {object} header - The file's header.
+ * @param {Uint8Array} data - The chunk's data.
+ * @param {number} width - Width of the chunk.
+ * @param {number} lineCount - Number of lines in the chunk.
+ * @returns {Promise<Uint8Array>} - The chunk's pixels.
+ */
+async function uncompressChunk(header, data, width, lineCount) {
+  const bytesPerPixel = header.channels.reduce((sum, channel) => sum + PIXEL_TYPE_SIZES[channel.pixelType], 0);
+  const rawSize = bytesPerPixel * width * lineCount;
+  if (data.length == rawSize) {
+    return data;
+  }
+  if (data.length > rawSize || header.compression == COMPRESSION_NONE) {
+    throw new TextureParseError(`EXR chunk has size ${data.length}, expected at most ${rawSize}`, 'data');
+  }
+
+  switch (header.compression) {
+    case COMPRESSION_RLE:
+      return unpredictAndInterleave(rleUncompress(data, rawSize));
+    case COMPRESSION_ZIPS:
+    case COMPRESSION_ZIP:
+      return unpredictAndInterleave(await zipUncompress(data, rawSize));
+    case COMPRESSION_PIZ:
+      return pizUncompress(data, header.channels, width, lineCount, rawSize);
+  }
+}
+
+/**
+ * Copies the selected channels of a chunk's pixels into a level of the texture, converting them to the texture's
+ * format.
+ *
+ * @param {object} header - The file's header.
+ * @param {Uint8Array} raw - The chunk's uncompressed pixels.
+ * @param {object} chunk - Position and size of the chunk within the level.
+ * @param {object} level - The level's pixels, width, and channel layout.
+ * @returns {void}
+ */
+function copyChunk(header, raw, chunk, level) {
+  const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+  const isHalf = level.pixels instanceof Uint16Array;
+  let offset = 0;
+  for (let line = 0; line < chunk.lineCount; ++line) {
+    const rowStart = (chunk.y + line) * level.width + chunk.x;
+    header.channels.forEach((channel, channelIndex) => {
+      const sampleSize = PIXEL_TYPE_SIZES[channel.pixelType];
+      level.channelIndices.forEach((sourceIndex, outChannel) => {
+        if (sourceIndex != channelIndex) {
+          return;
+        }
+        for (let x = 0; x < chunk.width; ++x) {
+          const sampleOffset = offset + x * sampleSize;
+          const out = (rowStart + x) * level.channelCount + outChannel;
+          switch (channel.pixelType) {
+            case PIXEL_TYPE_HALF: {
+              const value = view.getUint16(sampleOffset, true);
+              level.pixels[out] = isHalf ? value : float16ToFloat32(value);
+              break;
+            }
+            case PIXEL_TYPE_FLOAT: {
+              const value = view.getFloat32(sampleOffset, true);
+              level.pixels[out] = isHalf ? float32ToFloat16(value) : value;
+              break;
+            }
+            case PIXEL_TYPE_UINT: {
+              const value = view.getUint32(sampleOffset, true);
+              level.pixels[out] = isHalf ? float32ToFloat16(value) : value;
+              break;
+            }
+          }
+        }
+      });
+      offset += sampleSize * chunk.width;
+    });
+  }
+}
+
+/**
+ * Reads the file's table of chunk offsets.
+ *
+ * @param {DataView} view - View of the file contents.
+ * @param {number} offset - Offset of the table.
+ * @param {number} chunkCount - Number of entries in the table.
+ * @returns {Array<number>} - Offset of each chunk.
+ */
+function readOffsetTable(view, offset, chunkCount) {
+  if (offset + chunkCount * 8 > view.byteLength) {
+    throw new TextureParseError('File is too small to contain the EXR offset table', 'offsets');
+  }
+  const offsets = [];
+  for (let i = 0; i < chunkCount; ++i) {
+    const chunkOffset = view.getUint32(offset + i * 8, true) + view.getUint32(offset + i * 8 + 4, true) * POW2[32];
+    if (chunkOffset + 8 > view.byteLength) {
+      throw new TextureParseError(`EXR chunk ${i} is past the end of the file`, 'offsets');
+    }
+    offsets.push(chunkOffset);
+  }
+  return offsets;
+}
+
+/**
+ * Reads the data of the chunk at the given offset, after the header fields which locate it in the image.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @param {DataView} view - View of the file contents.
+ * @param {number} offset - Offset of the chunk's data size.
+ * @returns {Uint8Array} - The chunk's data.
+ */
+function readChunkData(bytes, view, offset) {
+  if (offset + 4 > bytes.length) {
+    throw new TextureParseError('EXR chunk is past the end of the file', 'data');
+  }
+  const size = view.getInt32(offset, true);
+  if (size < 0 || offset + 4 + size > bytes.length) {
+    throw new TextureParseError('EXR chunk extends past the end of the file', 'data');
+  }
+  return bytes.subarray(offset + 4, offset + 4 + size);
+}
+
+/**
+ * Computes the size of one dimension of a mip level.
+ *
+ * @param {number} size - Size of the first level.
+ * @param {number} level - Index of the level.
+ * @param {number} roundingMode - How the tiles attribute says sizes that don't divide evenly are rounded.
+ * @returns {number} - Size of the level.
+ */
+function getLevelSize(size, level, roundingMode) {
+  const scaled = size / POW2[level];
+  return Math.max(1, roundingMode == LEVEL_ROUND_UP ? Math.ceil(scaled) : Math.floor(scaled));
+}
+
+/**
+ * Computes the number of levels of a mip chain.
+ *
+ * @param {number} size - Size of the first level.
+ * @param {number} roundingMode - How the tiles attribute says sizes that don't divide evenly are rounded.
+ * @returns {number} - Number of levels.
+ */
+function getLevelCount(size, roundingMode) {
+  let count = 1;
+  while (getLevelSize(size, count - 1, roundingMode) > 1) {
+    ++count;
+  }
+  return count;
+}
+
+/**
+ * Parses an OpenEXR file and converts the selected channels to a floating point format.
+ * Malformed files throw a TextureParseError naming the part of the file that was invalid.
+ *
+ * @param {ArrayBuffer} buffer - Contents of the EXR file.
+ * @param {Array<module:WebTextureTool.WebTextureFormat>} supportedFormats - Formats which the target API can support.
+ * @param {boolean} mipmaps - True if the mip levels of tiled, mipmapped files should be loaded.
+ * @param {object} options - Additional options for the request.
+ * @param {string} options.hdrFormat - The preferred format for four channel textures, 'rgba16float' or 'rgba32float'.
+ * @param {string|Array<string>|null} options.exrChannels - The names of the channels to load, or the name of a layer
+ * to load the RGBA channels of. If null the RGBA channels of the default layer are loaded.
+ * @returns {Promise<object>} - The decoded texture, as a WorkerTextureData.
+ */
+async function parseFile(buffer, supportedFormats, mipmaps, options) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const header = readHeader(bytes, view);
+
+  const channelIndices = selectChannels(header.channels, options.exrChannels);
+  const channelCount = channelIndices.length;
+
+  let formats;
+  switch (channelCount) {
+    case 1: formats = ['r16float']; break;
+    case 2: formats = ['rg16float']; break;
+    default: formats = options.hdrFormat == 'rgba32float' ?
+      ['rgba32float', 'rgba16float'] : ['rgba16float', 'rgba32float']; break;
+  }
+  const format = formats.find((format) => supportedFormats.indexOf(format) > -1);
+  if (!format) {
+    throw new Error(`No supported format for ${channelCount} channel EXR data, requires ${formats.join(' or ')}`);
+  }
+
+  // Only mip chains which halve both dimensions the same way the GPU does can be loaded. Other levels of ripmaps and
+  // mipmaps that round up are skipped.
+  const tiles = header.tiles;
+  let levelCount = 1;
+  let chunkCount;
+  if (!header.tiled) {
+    chunkCount = Math.ceil(header.height / COMPRESSION_SCANLINES[header.compression]);
+  } else {
+    const tileCount = (width, height) => Math.ceil(width / tiles.width) * Math.ceil(height / tiles.height);
+    const xLevels = getLevelCount(header.width, tiles.roundingMode);
+    const yLevels = getLevelCount(header.height, tiles.roundingMode);
+    chunkCount = 0;
+    switch (tiles.levelMode) {
+      case LEVEL_MODE_ONE_LEVEL:
+        chunkCount = tileCount(header.width, header.height);
+        break;
+      case LEVEL_MODE_MIPMAP:
+        for (let i = 0; i < Math.max(xLevels, yLevels); ++i) {
+          chunkCount += tileCount(getLevelSize(header.width, i, tiles.roundingMode),
+              getLevelSize(header.height, i, tiles.roundingMode));
+        }
+        if (mipmaps && tiles.roundingMode != LEVEL_ROUND_UP) {
+          levelCount = Math.max(xLevels, yLevels);
+        }
+        break;
+      case LEVEL_MODE_RIPMAP:
+        for (let y = 0; y < yLevels; ++y) {
+          for (let x = 0; x < xLevels; ++x) {
+            chunkCount += tileCount(getLevelSize(header.width, x, tiles.roundingMode),
+                getLevelSize(header.height, y, tiles.roundingMode));
+          }
+        }
+        break;
+    }
+  }
+
+  const levels = [];
+  for (let i = 0; i < levelCount; ++i) {
+    const width = getLevelSize(header.width, i, 0);
+    const height = getLevelSize(header.height, i, 0);
+    const ArrayType = format == 'rgba32float' ? Float32Array : Uint16Array;
+    const pixels = new ArrayType(width * height * channelCount);
+    channelIndices.forEach((sourceIndex, outChannel) => {
+      if (sourceIndex == -1 && MISSING_CHANNEL_VALUES[outChannel]) {
+        const value = ArrayType == Float32Array ? 1.0 : 0x3c00;
+        for (let j = outChannel; j < pixels.length; j += channelCount) {
+          pixels[j] = value;
+        }
+      }
+    });
+    levels.push({width, height, pixels, channelIndices, channelCount});
+  }
+
+  const offsets = readOffsetTable(view, header.offset, chunkCount);
+  for (let i = 0; i < offsets.length; ++i) {
+    const offset = offsets[i];
+    if (!header.tiled) {
+      const linesPerChunk = COMPRESSION_SCANLINES[header.compression];
+      const y = view.getInt32(offset, true) - header.dataWindow.yMin;
+      if (y < 0 || y >= header.height || y % linesPerChunk) {
+        throw new TextureParseError(`Invalid scanline for EXR chunk ${i}: ${y + header.dataWindow.yMin}`, 'data');
+      }
+      const lineCount = Math.min(linesPerChunk, header.height - y);
+      const raw = await uncompressChunk(header, readChunkData(bytes, view, offset + 4), header.width, lineCount);
+      copyChunk(header, raw, {x: 0, y, width: header.width, lineCount}, levels[0]);
+      continue;
+    }
+
+    if (offset + 20 > bytes.length) {
+      throw new TextureParseError(`EXR chunk ${i} is past the end of the file`, 'data');
+    }
+    const tileX = view.getInt32(offset, true);
+    const tileY = view.getInt32(offset + 4, true);
+    const levelX = view.getInt32(offset + 8, true);
+    const levelY = view.getInt32(offset + 12, true);
+    if (levelX != levelY || !levels[levelX]) {
+      continue;
+    }
+
+    const level = levels[levelX];
+    const x = tileX * tiles.width;
+    const y = tileY * tiles.height;
+    if (tileX < 0 || tileY < 0 || x >= level.width || y >= level.height) {
+      throw new TextureParseError(`Invalid tile for EXR chunk ${i}: ${tileX}, ${tileY}`, 'data');
+    }
+    const width = Math.min(tiles.width, level.width - x);
+    const lineCount = Math.min(tiles.height, level.height - y);
+    const raw = await uncompressChunk(header, readChunkData(bytes, view, offset + 16), width, lineCount);
+    copyChunk(header, raw, {x, y, width, lineCount}, level);
+  }
+
+  const textureData = new WorkerTextureData({
+    format,
+    width: header.width,
+    height: header.height,
+  });
+  levels.forEach((level, i) => {
+    textureData.getLevel(i, {width: level.width, height: level.height}).setSlice(0, level.pixels);
+  });
+  return textureData;
+}
+
+onmessage = createTextureMessageHandler(parseFile);
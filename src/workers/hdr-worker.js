@@ -0,0 +1,281 @@
+/**
+ * @file Web Worker for loading Radiance HDR (RGBE) texture files
+ * @module HDRWorker
+ */
+
+importScripts('./worker-util.js');
+
+// Format referenced from Greg Ward's "Real Pixels" (Graphics Gems II) and the Radiance file format documentation:
+// https://radsite.lbl.gov/radiance/refer/filefmts.pdf
+const MAX_TEXTURE_DIMENSION_2D = 16384;
+
+// Scanlines of this width can be stored with per-channel run length encoding.
+const RLE_MIN_WIDTH = 8;
+const RLE_MAX_WIDTH = 0x7fff;
+
+const RESOLUTION_PATTERN = /^([-+])Y\s+(\d+)\s+\+X\s+(\d+)$/;
+
+// The value that a mantissa of 1 represents for each shared exponent, so that a mantissa m with exponent e decodes to
+// (m + 0.5) * RGBE_SCALE[e]. An exponent of 0 is reserved for black.
+const RGBE_SCALE = new Float32Array(256);
+for (let e = 1; e < 256; ++e) {
+  RGBE_SCALE[e] = Math.pow(2, e - 136);
+}
+
+// Output formats in order of preference for each value of the hdrFormat option. rg11b10ufloat is always the last
+// resort, since it has no alpha channel and less precision, but only needs 32 bits per pixel.
+const HDR_FORMAT_PREFERENCES = {
+  rgba16float: ['rgba16float', 'rgba32float', 'rg11b10ufloat'],
+  rgba32float: ['rgba32float', 'rgba16float', 'rg11b10ufloat'],
+};
+
+/**
+ * Throws a TextureParseError if the file's data ends before the given offset.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @param {number} end - Offset that the file must extend to.
+ * @param {number} row - Scanline being read, for the error message.
+ * @returns {void}
+ */
+function checkDataLength(bytes, end, row) {
+  if (end > bytes.length) {
+    throw new TextureParseError(`Scanline ${row} extends past the end of the file`, 'data');
+  }
+}
+
+/**
+ * Reads the text header of a Radiance HDR file, up to and including the resolution line.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @returns {object} - The width and height of the image, whether it's stored bottom to top, and the offset of the
+ * first scanline.
+ */
+function readHeader(bytes) {
+  const decoder = new TextDecoder('latin1');
+  let offset = 0;
+
+  const readLine = () => {
+    const end = bytes.indexOf(0x0a, offset);
+    if (end == -1) {
+      throw new TextureParseError('File ended before the end of the HDR header', 'header');
+    }
+    const line = decoder.decode(bytes.subarray(offset, end));
+    offset = end + 1;
+    return line;
+  };
+
+  const signature = readLine();
+  if (!signature.startsWith('#?RADIANCE') && !signature.startsWith('#?RGBE')) {
+    throw new TextureParseError('Invalid signature in HDR header', 'header');
+  }
+
+  // Header variables are NAME=value lines, or comments, terminated by a blank line. Only FORMAT affects how the pixels
+  // are read, and defaults to RGBE if it's missing. EXPOSURE and the like describe how the image was captured and are
+  // left for the application to apply.
+  let format = '32-bit_rle_rgbe';
+  for (let line = readLine(); line.length; line = readLine()) {
+    if (line.startsWith('FORMAT=')) {
+      format = line.substring(7).trim();
+    }
+  }
+
+  if (format != '32-bit_rle_rgbe') {
+    throw new TextureParseError(`Unsupported HDR pixel format: ${format}`, 'FORMAT');
+  }
+
+  const resolution = readLine().trim().match(RESOLUTION_PATTERN);
+  if (!resolution) {
+    throw new TextureParseError('Unsupported HDR image orientation, only -Y and +Y with +X are supported',
+        'resolution');
+  }
+
+  const height = parseInt(resolution[2]);
+  const width = parseInt(resolution[3]);
+  for (const [field, value] of [['width', width], ['height', height]]) {
+    if (value < 1 || value > MAX_TEXTURE_DIMENSION_2D) {
+      throw new TextureParseError(
+          `Invalid HDR ${field}: ${value}, must be between 1 and ${MAX_TEXTURE_DIMENSION_2D}`, 'resolution');
+    }
+  }
+
+  return {width, height, bottomUp: resolution[1] == '+', offset};
+}
+
+/**
+ * Reads a scanline stored with each channel run length encoded separately.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @param {number} offset - Offset of the scanline, after it's 4 byte header.
+ * @param {Uint8Array} rgbe - Receives the scanline's pixels.
+ * @param {number} width - Number of pixels in the scanline.
+ * @param {number} row - Scanline being read, for error messages.
+ * @returns {number} - Offset of the next scanline.
+ */
+function readRleScanline(bytes, offset, rgbe, width, row) {
+  for (let channel = 0; channel < 4; ++channel) {
+    let x = 0;
+    while (x < width) {
+      checkDataLength(bytes, offset + 1, row);
+      let count = bytes[offset++];
+      if (count > 128) {
+        // A run of a single value
+        count -= 128;
+        checkDataLength(bytes, offset + 1, row);
+        if (x + count > width) {
+          throw new TextureParseError(`Run length in scanline ${row} extends past the end of the scanline`, 'data');
+        }
+        const value = bytes[offset++];
+        for (let i = 0; i < count; ++i, ++x) {
+          rgbe[x * 4 + channel] = value;
+        }
+      } else {
+        // A sequence of literal values
+        if (!count || x + count > width) {
+          throw new TextureParseError(`Invalid run length in scanline ${row}: ${count}`, 'data');
+        }
+        checkDataLength(bytes, offset + count, row);
+        for (let i = 0; i < count; ++i, ++x) {
+          rgbe[x * 4 + channel] = bytes[offset++];
+        }
+      }
+    }
+  }
+  return offset;
+}
+
+/**
+ * Reads a scanline stored as a flat list of RGBE pixels, which may include the older style of run length encoding
+ * where a pixel of (1, 1, 1, n) repeats the previous pixel.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @param {number} offset - Offset of the scanline.
+ * @param {Uint8Array} rgbe - Receives the scanline's pixels.
+ * @param {number} width - Number of pixels in the scanline.
+ * @param {number} row - Scanline being read, for error messages.
+ * @returns {number} - Offset of the next scanline.
+ */
+function readFlatScanline(bytes, offset, rgbe, width, row) {
+  let shift = 0;
+  let x = 0;
+  while (x < width) {
+    checkDataLength(bytes, offset + 4, row);
+    if (bytes[offset] == 1 && bytes[offset + 1] == 1 && bytes[offset + 2] == 1) {
+      // Consecutive repeats are combined, with each one representing a higher order of the count.
+      const count = bytes[offset + 3] << shift;
+      if (!x || x + count > width) {
+        throw new TextureParseError(`Invalid repeated pixel in scanline ${row}`, 'data');
+      }
+      for (let i = 0; i < count; ++i) {
+        rgbe.copyWithin((x + i) * 4, (x - 1) * 4, x * 4);
+      }
+      x += count;
+      shift += 8;
+    } else {
+      rgbe.set(bytes.subarray(offset, offset + 4), x * 4);
+      ++x;
+      shift = 0;
+    }
+    offset += 4;
+  }
+  return offset;
+}
+
+/**
+ * Converts a scanline of RGBE pixels into the output format.
+ *
+ * @param {Uint8Array} rgbe - The scanline's pixels.
+ * @param {number} width - Number of pixels in the scanline.
+ * @param {string} format - Output format.
+ * @param {Uint16Array|Uint32Array|Float32Array} imageData - Output image.
+ * @param {number} outOffset - Index of the scanline's first pixel in the output image.
+ * @returns {void}
+ */
+function decodeScanline(rgbe, width, format, imageData, outOffset) {
+  for (let x = 0; x < width; ++x) {
+    const scale = RGBE_SCALE[rgbe[x * 4 + 3]];
+    const r = scale && (rgbe[x * 4] + 0.5) * scale;
+    const g = scale && (rgbe[x * 4 + 1] + 0.5) * scale;
+    const b = scale && (rgbe[x * 4 + 2] + 0.5) * scale;
+    const out = outOffset + x;
+    switch (format) {
+      case 'rgba16float':
+        imageData[out * 4] = float32ToFloat16(r);
+        imageData[out * 4 + 1] = float32ToFloat16(g);
+        imageData[out * 4 + 2] = float32ToFloat16(b);
+        imageData[out * 4 + 3] = 0x3c00; // 1.0
+        break;
+      case 'rgba32float':
+        imageData[out * 4] = r;
+        imageData[out * 4 + 1] = g;
+        imageData[out * 4 + 2] = b;
+        imageData[out * 4 + 3] = 1.0;
+        break;
+      case 'rg11b10ufloat':
+        imageData[out] = packRG11B10UFloat(r, g, b);
+        break;
+    }
+  }
+}
+
+/**
+ * Parses a Radiance HDR file and converts it's pixels to a floating point format.
+ * Malformed files throw a TextureParseError naming the part of the file that was invalid.
+ *
+ * @param {ArrayBuffer} buffer - Contents of the HDR file.
+ * @param {Array<module:WebTextureTool.WebTextureFormat>} supportedFormats - Formats which the target API can support.
+ * @param {boolean} mipmaps - Unused, HDR files don't contain mipmaps and float textures can't generate them.
+ * @param {object} options - Additional options for the request.
+ * @param {string} options.hdrFormat - The preferred output format, 'rgba16float' or 'rgba32float'.
+ * @returns {object} - The decoded texture, as a WorkerTextureData.
+ */
+function parseFile(buffer, supportedFormats, mipmaps, options) {
+  const bytes = new Uint8Array(buffer);
+  const header = readHeader(bytes);
+  const width = header.width;
+  const height = header.height;
+
+  const preference = HDR_FORMAT_PREFERENCES[options.hdrFormat];
+  if (!preference) {
+    throw new Error(`Unknown hdrFormat: ${options.hdrFormat}`);
+  }
+  const format = preference.find((format) => supportedFormats.indexOf(format) > -1);
+  if (!format) {
+    throw new Error('No floating point texture formats are supported');
+  }
+
+  let imageData;
+  switch (format) {
+    case 'rgba16float': imageData = new Uint16Array(width * height * 4); break;
+    case 'rgba32float': imageData = new Float32Array(width * height * 4); break;
+    case 'rg11b10ufloat': imageData = new Uint32Array(width * height); break;
+  }
+
+  const rgbe = new Uint8Array(width * 4);
+  let offset = header.offset;
+  for (let row = 0; row < height; ++row) {
+    checkDataLength(bytes, offset + 4, row);
+    if (width >= RLE_MIN_WIDTH && width <= RLE_MAX_WIDTH &&
+        bytes[offset] == 2 && bytes[offset + 1] == 2 && !(bytes[offset + 2] & 0x80)) {
+      const encodedWidth = (bytes[offset + 2] << 8) | bytes[offset + 3];
+      if (encodedWidth != width) {
+        throw new TextureParseError(`Scanline ${row} has width ${encodedWidth}, expected ${width}`, 'data');
+      }
+      offset = readRleScanline(bytes, offset + 4, rgbe, width, row);
+    } else {
+      offset = readFlatScanline(bytes, offset, rgbe, width, row);
+    }
+
+    // Textures are stored top to bottom, so images with +Y scanlines have to be flipped.
+    const outRow = header.bottomUp ? height - row - 1 : row;
+    decodeScanline(rgbe, width, format, imageData, outRow * width);
+  }
+
+  return new WorkerTextureData({
+    format,
+    width,
+    height,
+    imageData,
+  });
+}
+
+onmessage = createTextureMessageHandler(parseFile);
@@ -17,70 +17,538 @@ const KTX_INITIALIZED = new Promise((resolve) => {
   LIBKTX().then(resolve);
 });
 
-const WTT_FORMAT_MAP = {
-  // Compressed formats
-  BC1_RGB: {format: 'bc1-rgb-unorm'},
-  BC3_RGBA: {format: 'bc3-rgba-unorm'},
-  BC7_M5_RGBA: {format: 'bc7-rgba-unorm'},
-  ETC1_RGB: {format: 'etc1-rgb-unorm'},
-  ETC2_RGBA: {format: 'etc2-rgba8unorm'},
-  ASTC_4x4_RGBA: {format: 'astc-4x4-rgba-unorm'},
-  PVRTC1_4_RGB: {format: 'pvrtc1-4bpp-rgb-unorm'},
-  PVRTC1_4_RGBA: {format: 'pvrtc1-4bpp-rgba-unorm'},
+// VkFormats that have an equivalent WebTextureFormat. Formats that neither WebGL or WebGPU support directly, such as
+// 'bgr8unorm', are converted by the transcoders in worker-util.js.
+const VK_FORMATS = {
+  2: 'rgba4unorm', // VK_FORMAT_R4G4B4A4_UNORM_PACK16
+  4: 'rgb565unorm', // VK_FORMAT_R5G6B5_UNORM_PACK16
+  6: 'rgba5551unorm', // VK_FORMAT_R5G5B5A1_UNORM_PACK16
+  8: 'bgr5a1unorm', // VK_FORMAT_A1R5G5B5_UNORM_PACK16
+  9: 'r8unorm', // VK_FORMAT_R8_UNORM
+  10: 'r8snorm', // VK_FORMAT_R8_SNORM
+  13: 'r8uint', // VK_FORMAT_R8_UINT
+  14: 'r8sint', // VK_FORMAT_R8_SINT
+  16: 'rg8unorm', // VK_FORMAT_R8G8_UNORM
+  17: 'rg8snorm', // VK_FORMAT_R8G8_SNORM
+  20: 'rg8uint', // VK_FORMAT_R8G8_UINT
+  21: 'rg8sint', // VK_FORMAT_R8G8_SINT
+  23: 'rgb8unorm', // VK_FORMAT_R8G8B8_UNORM
+  29: 'rgb8unorm-srgb', // VK_FORMAT_R8G8B8_SRGB
+  30: 'bgr8unorm', // VK_FORMAT_B8G8R8_UNORM
+  37: 'rgba8unorm', // VK_FORMAT_R8G8B8A8_UNORM
+  38: 'rgba8snorm', // VK_FORMAT_R8G8B8A8_SNORM
+  41: 'rgba8uint', // VK_FORMAT_R8G8B8A8_UINT
+  42: 'rgba8sint', // VK_FORMAT_R8G8B8A8_SINT
+  43: 'rgba8unorm-srgb', // VK_FORMAT_R8G8B8A8_SRGB
+  44: 'bgra8unorm', // VK_FORMAT_B8G8R8A8_UNORM
+  50: 'bgra8unorm-srgb', // VK_FORMAT_B8G8R8A8_SRGB
+  51: 'rgba8unorm', // VK_FORMAT_A8B8G8R8_UNORM_PACK32
+  52: 'rgba8snorm', // VK_FORMAT_A8B8G8R8_SNORM_PACK32
+  55: 'rgba8uint', // VK_FORMAT_A8B8G8R8_UINT_PACK32
+  56: 'rgba8sint', // VK_FORMAT_A8B8G8R8_SINT_PACK32
+  57: 'rgba8unorm-srgb', // VK_FORMAT_A8B8G8R8_SRGB_PACK32
+  64: 'rgb10a2unorm', // VK_FORMAT_A2B10G10R10_UNORM_PACK32
+  68: 'rgb10a2uint', // VK_FORMAT_A2B10G10R10_UINT_PACK32
+  70: 'r16unorm', // VK_FORMAT_R16_UNORM
+  74: 'r16uint', // VK_FORMAT_R16_UINT
+  75: 'r16sint', // VK_FORMAT_R16_SINT
+  76: 'r16float', // VK_FORMAT_R16_SFLOAT
+  77: 'rg16unorm', // VK_FORMAT_R16G16_UNORM
+  81: 'rg16uint', // VK_FORMAT_R16G16_UINT
+  82: 'rg16sint', // VK_FORMAT_R16G16_SINT
+  83: 'rg16float', // VK_FORMAT_R16G16_SFLOAT
+  95: 'rgba16uint', // VK_FORMAT_R16G16B16A16_UINT
+  96: 'rgba16sint', // VK_FORMAT_R16G16B16A16_SINT
+  97: 'rgba16float', // VK_FORMAT_R16G16B16A16_SFLOAT
+  98: 'r32uint', // VK_FORMAT_R32_UINT
+  99: 'r32sint', // VK_FORMAT_R32_SINT
+  100: 'r32float', // VK_FORMAT_R32_SFLOAT
+  101: 'rg32uint', // VK_FORMAT_R32G32_UINT
+  102: 'rg32sint', // VK_FORMAT_R32G32_SINT
+  103: 'rg32float', // VK_FORMAT_R32G32_SFLOAT
+  107: 'rgba32uint', // VK_FORMAT_R32G32B32A32_UINT
+  108: 'rgba32sint', // VK_FORMAT_R32G32B32A32_SINT
+  109: 'rgba32float', // VK_FORMAT_R32G32B32A32_SFLOAT
+  122: 'rg11b10ufloat', // VK_FORMAT_B10G11R11_UFLOAT_PACK32
+  123: 'rgb9e5ufloat', // VK_FORMAT_E5B9G9R9_UFLOAT_PACK32
+  131: 'bc1-rgb-unorm', // VK_FORMAT_BC1_RGB_UNORM_BLOCK
+  132: 'bc1-rgb-unorm-srgb', // VK_FORMAT_BC1_RGB_SRGB_BLOCK
+  133: 'bc1-rgba-unorm', // VK_FORMAT_BC1_RGBA_UNORM_BLOCK
+  134: 'bc1-rgba-unorm-srgb', // VK_FORMAT_BC1_RGBA_SRGB_BLOCK
+  135: 'bc2-rgba-unorm', // VK_FORMAT_BC2_UNORM_BLOCK
+  136: 'bc2-rgba-unorm-srgb', // VK_FORMAT_BC2_SRGB_BLOCK
+  137: 'bc3-rgba-unorm', // VK_FORMAT_BC3_UNORM_BLOCK
+  138: 'bc3-rgba-unorm-srgb', // VK_FORMAT_BC3_SRGB_BLOCK
+  139: 'bc4-r-unorm', // VK_FORMAT_BC4_UNORM_BLOCK
+  140: 'bc4-r-snorm', // VK_FORMAT_BC4_SNORM_BLOCK
+  141: 'bc5-rg-unorm', // VK_FORMAT_BC5_UNORM_BLOCK
+  142: 'bc5-rg-snorm', // VK_FORMAT_BC5_SNORM_BLOCK
+  143: 'bc6h-rgb-ufloat', // VK_FORMAT_BC6H_UFLOAT_BLOCK
+  144: 'bc6h-rgb-float', // VK_FORMAT_BC6H_SFLOAT_BLOCK
+  145: 'bc7-rgba-unorm', // VK_FORMAT_BC7_UNORM_BLOCK
+  146: 'bc7-rgba-unorm-srgb', // VK_FORMAT_BC7_SRGB_BLOCK
+  147: 'etc2-rgb8unorm', // VK_FORMAT_ETC2_R8G8B8_UNORM_BLOCK
+  148: 'etc2-rgb8unorm-srgb', // VK_FORMAT_ETC2_R8G8B8_SRGB_BLOCK
+  149: 'etc2-rgb8a1unorm', // VK_FORMAT_ETC2_R8G8B8A1_UNORM_BLOCK
+  150: 'etc2-rgb8a1unorm-srgb', // VK_FORMAT_ETC2_R8G8B8A1_SRGB_BLOCK
+  151: 'etc2-rgba8unorm', // VK_FORMAT_ETC2_R8G8B8A8_UNORM_BLOCK
+  152: 'etc2-rgba8unorm-srgb', // VK_FORMAT_ETC2_R8G8B8A8_SRGB_BLOCK
+  153: 'eac-r11unorm', // VK_FORMAT_EAC_R11_UNORM_BLOCK
+  154: 'eac-r11snorm', // VK_FORMAT_EAC_R11_SNORM_BLOCK
+  155: 'eac-rg11unorm', // VK_FORMAT_EAC_R11G11_UNORM_BLOCK
+  156: 'eac-rg11snorm', // VK_FORMAT_EAC_R11G11_SNORM_BLOCK
+  157: 'astc-4x4-rgba-unorm', // VK_FORMAT_ASTC_4x4_UNORM_BLOCK
+  158: 'astc-4x4-rgba-unorm-srgb', // VK_FORMAT_ASTC_4x4_SRGB_BLOCK
+  159: 'astc-5x4-rgba-unorm', // VK_FORMAT_ASTC_5x4_UNORM_BLOCK
+  160: 'astc-5x4-rgba-unorm-srgb', // VK_FORMAT_ASTC_5x4_SRGB_BLOCK
+  161: 'astc-5x5-rgba-unorm', // VK_FORMAT_ASTC_5x5_UNORM_BLOCK
+  162: 'astc-5x5-rgba-unorm-srgb', // VK_FORMAT_ASTC_5x5_SRGB_BLOCK
+  163: 'astc-6x5-rgba-unorm', // VK_FORMAT_ASTC_6x5_UNORM_BLOCK
+  164: 'astc-6x5-rgba-unorm-srgb', // VK_FORMAT_ASTC_6x5_SRGB_BLOCK
+  165: 'astc-6x6-rgba-unorm', // VK_FORMAT_ASTC_6x6_UNORM_BLOCK
+  166: 'astc-6x6-rgba-unorm-srgb', // VK_FORMAT_ASTC_6x6_SRGB_BLOCK
+  167: 'astc-8x5-rgba-unorm', // VK_FORMAT_ASTC_8x5_UNORM_BLOCK
+  168: 'astc-8x5-rgba-unorm-srgb', // VK_FORMAT_ASTC_8x5_SRGB_BLOCK
+  169: 'astc-8x6-rgba-unorm', // VK_FORMAT_ASTC_8x6_UNORM_BLOCK
+  170: 'astc-8x6-rgba-unorm-srgb', // VK_FORMAT_ASTC_8x6_SRGB_BLOCK
+  171: 'astc-8x8-rgba-unorm', // VK_FORMAT_ASTC_8x8_UNORM_BLOCK
+  172: 'astc-8x8-rgba-unorm-srgb', // VK_FORMAT_ASTC_8x8_SRGB_BLOCK
+  173: 'astc-10x5-rgba-unorm', // VK_FORMAT_ASTC_10x5_UNORM_BLOCK
+  174: 'astc-10x5-rgba-unorm-srgb', // VK_FORMAT_ASTC_10x5_SRGB_BLOCK
+  175: 'astc-10x6-rgba-unorm', // VK_FORMAT_ASTC_10x6_UNORM_BLOCK
+  176: 'astc-10x6-rgba-unorm-srgb', // VK_FORMAT_ASTC_10x6_SRGB_BLOCK
+  177: 'astc-10x8-rgba-unorm', // VK_FORMAT_ASTC_10x8_UNORM_BLOCK
+  178: 'astc-10x8-rgba-unorm-srgb', // VK_FORMAT_ASTC_10x8_SRGB_BLOCK
+  179: 'astc-10x10-rgba-unorm', // VK_FORMAT_ASTC_10x10_UNORM_BLOCK
+  180: 'astc-10x10-rgba-unorm-srgb', // VK_FORMAT_ASTC_10x10_SRGB_BLOCK
+  181: 'astc-12x10-rgba-unorm', // VK_FORMAT_ASTC_12x10_UNORM_BLOCK
+  182: 'astc-12x10-rgba-unorm-srgb', // VK_FORMAT_ASTC_12x10_SRGB_BLOCK
+  183: 'astc-12x12-rgba-unorm', // VK_FORMAT_ASTC_12x12_UNORM_BLOCK
+  184: 'astc-12x12-rgba-unorm-srgb', // VK_FORMAT_ASTC_12x12_SRGB_BLOCK
+  1000054000: 'pvrtc1-2bpp-rgba-unorm', // VK_FORMAT_PVRTC1_2BPP_UNORM_BLOCK_IMG
+  1000054001: 'pvrtc1-4bpp-rgba-unorm', // VK_FORMAT_PVRTC1_4BPP_UNORM_BLOCK_IMG
+  1000340000: 'bgra4unorm', // VK_FORMAT_A4R4G4B4_UNORM_PACK16
+};
 
+function vkFormatToGPUFormat(vkFormat) {
+  if (vkFormat == 0) { // VK_FORMAT_UNDEFINED
+    throw new Error(`Cannot decode if VkFormat is VK_FORMAT_UNDEFINED`);
+  }
+  const format = VK_FORMATS[vkFormat];
+  if (!format) {
+    throw new Error(`Unsupported VkFormat: ${vkFormat}`);
+  }
+  return format;
+}
+
+// KTX1 glInternalFormats that have an equivalent WebTextureFormat. Uncompressed formats list their size so that the
+// row padding KTX1 requires can be removed.
+const GL_INTERNAL_FORMATS = {
   // Uncompressed formats
-  RGBA32: {format: 'rgba8unorm', uncompressed: true},
-  RGB565: {format: 'rgb565unorm', uncompressed: true},
-  RGBA4444: {format: 'rgba4unorm', uncompressed: true},
-  R11F_G11F_B10F: {format: 'rg11b10ufloat', uncompressed: true},
+  0x8229: {format: 'r8unorm', bytesPerPixel: 1}, // R8
+  0x8F94: {format: 'r8snorm', bytesPerPixel: 1}, // R8_SNORM
+  0x8232: {format: 'r8uint', bytesPerPixel: 1}, // R8UI
+  0x8231: {format: 'r8sint', bytesPerPixel: 1}, // R8I
+  0x822B: {format: 'rg8unorm', bytesPerPixel: 2}, // RG8
+  0x8F95: {format: 'rg8snorm', bytesPerPixel: 2}, // RG8_SNORM
+  0x8238: {format: 'rg8uint', bytesPerPixel: 2}, // RG8UI
+  0x8237: {format: 'rg8sint', bytesPerPixel: 2}, // RG8I
+  0x8051: {format: 'rgb8unorm', bytesPerPixel: 3}, // RGB8
+  0x8C41: {format: 'rgb8unorm-srgb', bytesPerPixel: 3}, // SRGB8
+  0x8058: {format: 'rgba8unorm', bytesPerPixel: 4}, // RGBA8
+  0x8C43: {format: 'rgba8unorm-srgb', bytesPerPixel: 4}, // SRGB8_ALPHA8
+  0x8F97: {format: 'rgba8snorm', bytesPerPixel: 4}, // RGBA8_SNORM
+  0x8D7C: {format: 'rgba8uint', bytesPerPixel: 4}, // RGBA8UI
+  0x8D8E: {format: 'rgba8sint', bytesPerPixel: 4}, // RGBA8I
+  0x93A1: {format: 'bgra8unorm', bytesPerPixel: 4}, // BGRA8_EXT
+  0x8D62: {format: 'rgb565unorm', bytesPerPixel: 2}, // RGB565
+  0x8056: {format: 'rgba4unorm', bytesPerPixel: 2}, // RGBA4
+  0x8057: {format: 'rgba5551unorm', bytesPerPixel: 2}, // RGB5_A1
+  0x8059: {format: 'rgb10a2unorm', bytesPerPixel: 4}, // RGB10_A2
+  0x906F: {format: 'rgb10a2uint', bytesPerPixel: 4}, // RGB10_A2UI
+  0x822A: {format: 'r16unorm', bytesPerPixel: 2}, // R16_EXT
+  0x822C: {format: 'rg16unorm', bytesPerPixel: 4}, // RG16_EXT
+  0x8234: {format: 'r16uint', bytesPerPixel: 2}, // R16UI
+  0x8233: {format: 'r16sint', bytesPerPixel: 2}, // R16I
+  0x823A: {format: 'rg16uint', bytesPerPixel: 4}, // RG16UI
+  0x8239: {format: 'rg16sint', bytesPerPixel: 4}, // RG16I
+  0x8D76: {format: 'rgba16uint', bytesPerPixel: 8}, // RGBA16UI
+  0x8D88: {format: 'rgba16sint', bytesPerPixel: 8}, // RGBA16I
+  0x8236: {format: 'r32uint', bytesPerPixel: 4}, // R32UI
+  0x8235: {format: 'r32sint', bytesPerPixel: 4}, // R32I
+  0x823C: {format: 'rg32uint', bytesPerPixel: 8}, // RG32UI
+  0x823B: {format: 'rg32sint', bytesPerPixel: 8}, // RG32I
+  0x8D70: {format: 'rgba32uint', bytesPerPixel: 16}, // RGBA32UI
+  0x8D82: {format: 'rgba32sint', bytesPerPixel: 16}, // RGBA32I
+  0x822D: {format: 'r16float', bytesPerPixel: 2}, // R16F
+  0x822F: {format: 'rg16float', bytesPerPixel: 4}, // RG16F
+  0x881A: {format: 'rgba16float', bytesPerPixel: 8}, // RGBA16F
+  0x822E: {format: 'r32float', bytesPerPixel: 4}, // R32F
+  0x8230: {format: 'rg32float', bytesPerPixel: 8}, // RG32F
+  0x8814: {format: 'rgba32float', bytesPerPixel: 16}, // RGBA32F
+  0x8C3A: {format: 'rg11b10ufloat', bytesPerPixel: 4}, // R11F_G11F_B10F
+  0x8C3D: {format: 'rgb9e5ufloat', bytesPerPixel: 4}, // RGB9_E5
+
+  // Compressed formats
+  0x83F0: {format: 'bc1-rgb-unorm'}, // COMPRESSED_RGB_S3TC_DXT1_EXT
+  0x83F1: {format: 'bc1-rgba-unorm'}, // COMPRESSED_RGBA_S3TC_DXT1_EXT
+  0x83F2: {format: 'bc2-rgba-unorm'}, // COMPRESSED_RGBA_S3TC_DXT3_EXT
+  0x83F3: {format: 'bc3-rgba-unorm'}, // COMPRESSED_RGBA_S3TC_DXT5_EXT
+  0x8C4C: {format: 'bc1-rgb-unorm-srgb'}, // COMPRESSED_SRGB_S3TC_DXT1_EXT
+  0x8C4D: {format: 'bc1-rgba-unorm-srgb'}, // COMPRESSED_SRGB_ALPHA_S3TC_DXT1_EXT
+  0x8C4E: {format: 'bc2-rgba-unorm-srgb'}, // COMPRESSED_SRGB_ALPHA_S3TC_DXT3_EXT
+  0x8C4F: {format: 'bc3-rgba-unorm-srgb'}, // COMPRESSED_SRGB_ALPHA_S3TC_DXT5_EXT
+  0x8DBB: {format: 'bc4-r-unorm'}, // COMPRESSED_RED_RGTC1_EXT
+  0x8DBC: {format: 'bc4-r-snorm'}, // COMPRESSED_SIGNED_RED_RGTC1_EXT
+  0x8DBD: {format: 'bc5-rg-unorm'}, // COMPRESSED_RED_GREEN_RGTC2_EXT
+  0x8DBE: {format: 'bc5-rg-snorm'}, // COMPRESSED_SIGNED_RED_GREEN_RGTC2_EXT
+  0x8E8C: {format: 'bc7-rgba-unorm'}, // COMPRESSED_RGBA_BPTC_UNORM_EXT
+  0x8E8D: {format: 'bc7-rgba-unorm-srgb'}, // COMPRESSED_SRGB_ALPHA_BPTC_UNORM_EXT
+  0x8E8E: {format: 'bc6h-rgb-float'}, // COMPRESSED_RGB_BPTC_SIGNED_FLOAT_EXT
+  0x8E8F: {format: 'bc6h-rgb-ufloat'}, // COMPRESSED_RGB_BPTC_UNSIGNED_FLOAT_EXT
+  0x8D64: {format: 'etc1-rgb-unorm'}, // COMPRESSED_RGB_ETC1_WEBGL
+  0x9270: {format: 'eac-r11unorm'}, // COMPRESSED_R11_EAC
+  0x9271: {format: 'eac-r11snorm'}, // COMPRESSED_SIGNED_R11_EAC
+  0x9272: {format: 'eac-rg11unorm'}, // COMPRESSED_RG11_EAC
+  0x9273: {format: 'eac-rg11snorm'}, // COMPRESSED_SIGNED_RG11_EAC
+  0x9274: {format: 'etc2-rgb8unorm'}, // COMPRESSED_RGB8_ETC2
+  0x9275: {format: 'etc2-rgb8unorm-srgb'}, // COMPRESSED_SRGB8_ETC2
+  0x9276: {format: 'etc2-rgb8a1unorm'}, // COMPRESSED_RGB8_PUNCHTHROUGH_ALPHA1_ETC2
+  0x9277: {format: 'etc2-rgb8a1unorm-srgb'}, // COMPRESSED_SRGB8_PUNCHTHROUGH_ALPHA1_ETC2
+  0x9278: {format: 'etc2-rgba8unorm'}, // COMPRESSED_RGBA8_ETC2_EAC
+  0x9279: {format: 'etc2-rgba8unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ETC2_EAC
+  0x93B0: {format: 'astc-4x4-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_4x4_KHR
+  0x93B1: {format: 'astc-5x4-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_5x4_KHR
+  0x93B2: {format: 'astc-5x5-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_5x5_KHR
+  0x93B3: {format: 'astc-6x5-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_6x5_KHR
+  0x93B4: {format: 'astc-6x6-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_6x6_KHR
+  0x93B5: {format: 'astc-8x5-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_8x5_KHR
+  0x93B6: {format: 'astc-8x6-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_8x6_KHR
+  0x93B7: {format: 'astc-8x8-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_8x8_KHR
+  0x93B8: {format: 'astc-10x5-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_10x5_KHR
+  0x93B9: {format: 'astc-10x6-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_10x6_KHR
+  0x93BA: {format: 'astc-10x8-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_10x8_KHR
+  0x93BB: {format: 'astc-10x10-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_10x10_KHR
+  0x93BC: {format: 'astc-12x10-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_12x10_KHR
+  0x93BD: {format: 'astc-12x12-rgba-unorm'}, // COMPRESSED_RGBA_ASTC_12x12_KHR
+  0x93D0: {format: 'astc-4x4-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_4x4_KHR
+  0x93D1: {format: 'astc-5x4-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_5x4_KHR
+  0x93D2: {format: 'astc-5x5-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_5x5_KHR
+  0x93D3: {format: 'astc-6x5-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_6x5_KHR
+  0x93D4: {format: 'astc-6x6-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_6x6_KHR
+  0x93D5: {format: 'astc-8x5-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_8x5_KHR
+  0x93D6: {format: 'astc-8x6-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_8x6_KHR
+  0x93D7: {format: 'astc-8x8-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_8x8_KHR
+  0x93D8: {format: 'astc-10x5-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_10x5_KHR
+  0x93D9: {format: 'astc-10x6-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_10x6_KHR
+  0x93DA: {format: 'astc-10x8-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_10x8_KHR
+  0x93DB: {format: 'astc-10x10-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_10x10_KHR
+  0x93DC: {format: 'astc-12x10-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_12x10_KHR
+  0x93DD: {format: 'astc-12x12-rgba-unorm-srgb'}, // COMPRESSED_SRGB8_ALPHA8_ASTC_12x12_KHR
+  0x8C00: {format: 'pvrtc1-4bpp-rgb-unorm'}, // COMPRESSED_RGB_PVRTC_4BPPV1_IMG
+  0x8C01: {format: 'pvrtc1-2bpp-rgb-unorm'}, // COMPRESSED_RGB_PVRTC_2BPPV1_IMG
+  0x8C02: {format: 'pvrtc1-4bpp-rgba-unorm'}, // COMPRESSED_RGBA_PVRTC_4BPPV1_IMG
+  0x8C03: {format: 'pvrtc1-2bpp-rgba-unorm'}, // COMPRESSED_RGBA_PVRTC_2BPPV1_IMG
 };
 
-// See http://richg42.blogspot.com/2018/05/basis-universal-gpu-texture-format.html for details.
-// ETC1 Should be the highest quality, so use when available.
-// If we don't support any appropriate compressed formats transcode to raw RGB(A) pixels. This is something of a last
-// resort, because the GPU upload will be significantly slower and take a lot more memory, but at least it prevents you
-// from needing to store a fallback JPG/PNG and the download size will still likely be smaller.
-const alphaFormatPreference = [
-  'ETC2_RGBA', 'BC7_M5_RGBA', 'BC3_RGBA', 'ASTC_4x4_RGBA', 'PVRTC1_4_RGBA', 'RGBA32'];
-// eslint-disable-next-line no-unused-vars
-const opaqueFormatPreference = [
-  'ETC1_RGB', 'BC7_M5_RGBA', 'BC1_RGB', 'ETC2_RGBA', 'ASTC_4x4_RGBA', 'PVRTC1_4_RGB', 'RGB565', 'RGBA32'];
-
-// TODO: There doesn't appear to be any limit on which of the many MANY VkFormats can be supported, so we'll need a
-// plan for supporting as many as we can.
-function vkFormatToGPUFormat(vkFormat) {
-  switch (vkFormat) {
-    case 0: // VK_FORMAT_UNDEFINED
-      throw new Error(`Cannot decode if VkFormat is VK_FORMAT_UNDEFINED`);
-    case 23: // VK_FORMAT_R8G8B8_UNORM
-      return 'rgb8unorm';
-    case 37: // VK_FORMAT_R8G8B8A8_UNORM
-      return 'rgba8unorm';
-    case 43: // VK_FORMAT_R8G8B8A8_SRGB
-      return 'rgba8unorm-srgb';
-    default:
-      throw new Error(`Unsupported VkFormat: ${vkFormat}`);
+// Older KTX1 files may give an unsized glInternalFormat, such as GL_RGBA, in which case the format is identified by
+// the glFormat and glType instead. Listed as { glFormat: { glType: format } }.
+const GL_UNSIZED_FORMATS = {
+  0x1908: { // RGBA
+    0x1401: {format: 'rgba8unorm', bytesPerPixel: 4}, // UNSIGNED_BYTE
+    0x8033: {format: 'rgba4unorm', bytesPerPixel: 2}, // UNSIGNED_SHORT_4_4_4_4
+    0x8034: {format: 'rgba5551unorm', bytesPerPixel: 2}, // UNSIGNED_SHORT_5_5_5_1
+    0x140B: {format: 'rgba16float', bytesPerPixel: 8}, // HALF_FLOAT
+    0x8D61: {format: 'rgba16float', bytesPerPixel: 8}, // HALF_FLOAT_OES
+    0x1406: {format: 'rgba32float', bytesPerPixel: 16}, // FLOAT
+  },
+  0x1907: { // RGB
+    0x1401: {format: 'rgb8unorm', bytesPerPixel: 3}, // UNSIGNED_BYTE
+    0x8363: {format: 'rgb565unorm', bytesPerPixel: 2}, // UNSIGNED_SHORT_5_6_5
+  },
+  0x80E1: { // BGRA_EXT
+    0x1401: {format: 'bgra8unorm', bytesPerPixel: 4}, // UNSIGNED_BYTE
+  },
+  0x8C40: { // SRGB_EXT
+    0x1401: {format: 'rgb8unorm-srgb', bytesPerPixel: 3}, // UNSIGNED_BYTE
+  },
+  0x8C42: { // SRGB_ALPHA_EXT
+    0x1401: {format: 'rgba8unorm-srgb', bytesPerPixel: 4}, // UNSIGNED_BYTE
+  },
+  0x1909: { // LUMINANCE
+    0x1401: {format: 'r8unorm', bytesPerPixel: 1}, // UNSIGNED_BYTE
+    0x140B: {format: 'r16float', bytesPerPixel: 2}, // HALF_FLOAT
+    0x8D61: {format: 'r16float', bytesPerPixel: 2}, // HALF_FLOAT_OES
+    0x1406: {format: 'r32float', bytesPerPixel: 4}, // FLOAT
+  },
+  0x190A: { // LUMINANCE_ALPHA
+    0x1401: {format: 'rg8unorm', bytesPerPixel: 2}, // UNSIGNED_BYTE
+    0x140B: {format: 'rg16float', bytesPerPixel: 4}, // HALF_FLOAT
+    0x8D61: {format: 'rg16float', bytesPerPixel: 4}, // HALF_FLOAT_OES
+    0x1406: {format: 'rg32float', bytesPerPixel: 8}, // FLOAT
+  },
+  0x1906: { // ALPHA
+    0x1401: {format: 'a8unorm', bytesPerPixel: 1}, // UNSIGNED_BYTE
+  },
+};
+
+const KTX1_ENDIANNESS = 0x04030201;
+
+/**
+ * Reads the GL format fields from a KTX1 file header, which libktx doesn't expose.
+ *
+ * @param {ArrayBuffer} buffer - KTX1 file data.
+ * @returns {object} - The glType, glFormat, and glInternalFormat of the file.
+ */
+function readKtx1GLFormat(buffer) {
+  const header = new DataView(buffer, 12, 20);
+  // Files may be written in either byte order, indicated by how the endianness field reads.
+  const littleEndian = header.getUint32(0, true) == KTX1_ENDIANNESS;
+  return {
+    glType: header.getUint32(4, littleEndian),
+    glFormat: header.getUint32(12, littleEndian),
+    glInternalFormat: header.getUint32(16, littleEndian),
+  };
+}
+
+function glFormatToGPUFormat({glType, glFormat, glInternalFormat}) {
+  if (glInternalFormat == 0) { // GL_NONE
+    throw new Error(`Cannot decode if glInternalFormat is GL_NONE`);
+  }
+  const format = GL_INTERNAL_FORMATS[glInternalFormat] || (GL_UNSIZED_FORMATS[glFormat] || {})[glType];
+  if (!format) {
+    const hex = (value) => `0x${value.toString(16)}`;
+    throw new Error(`Unsupported glInternalFormat: ${hex(glInternalFormat)} ` +
+        `(glFormat: ${hex(glFormat)}, glType: ${hex(glType)})`);
+  }
+  return format;
+}
+
+/**
+ * Copies image data with rows padded to a multiple of 4 bytes, as KTX1 stores uncompressed data, into tightly packed
+ * rows.
+ *
+ * @param {Uint8Array} imageData - Padded image data.
+ * @param {number} width - Width of the image in pixels.
+ * @param {number} bytesPerPixel - Size of each pixel.
+ * @returns {Uint8Array} - Tightly packed image data.
+ */
+function removeRowPadding(imageData, width, bytesPerPixel) {
+  const rowBytes = width * bytesPerPixel;
+  const paddedRowBytes = Math.ceil(rowBytes / 4) * 4;
+  const rowCount = imageData.byteLength / paddedRowBytes;
+  const packedData = new Uint8Array(rowBytes * rowCount);
+  for (let row = 0; row < rowCount; ++row) {
+    const rowStart = row * paddedRowBytes;
+    packedData.set(imageData.subarray(rowStart, rowStart + rowBytes), row * rowBytes);
+  }
+  return packedData;
+}
+
+// Values from the basic descriptor block of a KTX2 file's Data Format Descriptor.
+const KHR_DF_TRANSFER_LINEAR = 1;
+const KHR_DF_TRANSFER_SRGB = 2;
+const KHR_DF_FLAG_ALPHA_PREMULTIPLIED = 1;
+const KHR_DF_MODEL_ETC1S = 163;
+const KHR_DF_MODEL_UASTC = 166;
+
+// The channels of Basis Universal data, keyed by the channel ID of each sample in the DFD. ETC1S data has a sample for
+// each slice, the second of which is always alpha.
+const ETC1S_SAMPLE_CHANNELS = {
+  0: {channelCount: 3}, // KHR_DF_CHANNEL_ETC1S_RGB
+  3: {channelCount: 1}, // KHR_DF_CHANNEL_ETC1S_RRR
+  4: {channelCount: 1}, // KHR_DF_CHANNEL_ETC1S_GGG
+  15: {channelCount: 1, hasAlpha: true}, // KHR_DF_CHANNEL_ETC1S_AAA
+};
+// Some early encoders labelled RGB UASTC data as RRR, so UASTC channel IDs are only trusted to indicate alpha.
+const UASTC_SAMPLE_CHANNELS = {
+  3: {channelCount: 0, hasAlpha: true}, // KHR_DF_CHANNEL_UASTC_RGBA
+  5: {channelCount: 0, hasAlpha: true}, // KHR_DF_CHANNEL_UASTC_RRRG
+};
+
+// Formats which have a variant that stores the same data with an sRGB transfer function.
+const SRGB_FORMATS = {
+  'rgb8unorm': 'rgb8unorm-srgb',
+  'rgba8unorm': 'rgba8unorm-srgb',
+  'bgra8unorm': 'bgra8unorm-srgb',
+  'bc1-rgb-unorm': 'bc1-rgb-unorm-srgb',
+  'bc1-rgba-unorm': 'bc1-rgba-unorm-srgb',
+  'bc2-rgba-unorm': 'bc2-rgba-unorm-srgb',
+  'bc3-rgba-unorm': 'bc3-rgba-unorm-srgb',
+  'bc7-rgba-unorm': 'bc7-rgba-unorm-srgb',
+  'etc2-rgb8unorm': 'etc2-rgb8unorm-srgb',
+  'etc2-rgb8a1unorm': 'etc2-rgb8a1unorm-srgb',
+  'etc2-rgba8unorm': 'etc2-rgba8unorm-srgb',
+  'astc-4x4-rgba-unorm': 'astc-4x4-rgba-unorm-srgb',
+};
+
+const LINEAR_FORMATS = {};
+for (const [linearFormat, srgbFormat] of Object.entries(SRGB_FORMATS)) {
+  LINEAR_FORMATS[srgbFormat] = linearFormat;
+}
+
+/**
+ * Parses the key/value data of a KTX2 file. Only string values are decoded, since those are all that are used.
+ *
+ * @param {Uint8Array} data - The file's key/value data.
+ * @returns {object} - The values of the file, keyed by name.
+ */
+function readKtx2KeyValueData(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const decoder = new TextDecoder();
+  const values = {};
+
+  let offset = 0;
+  while (offset + 4 <= data.byteLength) {
+    const byteLength = view.getUint32(offset, true);
+    const entry = data.subarray(offset + 4, offset + 4 + byteLength);
+    const keyLength = entry.indexOf(0);
+    if (keyLength > -1) {
+      let value = entry.subarray(keyLength + 1);
+      // String values include their NUL terminator.
+      if (value[value.length - 1] == 0) {
+        value = value.subarray(0, value.length - 1);
+      }
+      values[decoder.decode(entry.subarray(0, keyLength))] = decoder.decode(value);
+    }
+    // Each entry is padded to a multiple of 4 bytes.
+    offset += 4 + Math.ceil(byteLength / 4) * 4;
+  }
+
+  return values;
+}
+
+/**
+ * Reads the metadata libktx doesn't expose from a KTX2 file: the transfer function and alpha premultiplication from
+ * the Data Format Descriptor, and the orientation and swizzle from the key/value data.
+ *
+ * @param {ArrayBuffer} buffer - KTX2 file data.
+ * @returns {object} - The transferFunction, premultipliedAlpha, orientation, and swizzle of the file, and the
+ * hasAlpha and channelCount of Basis Universal data.
+ */
+function readKtx2Metadata(buffer) {
+  const header = new DataView(buffer, 48, 16);
+  const dfdByteOffset = header.getUint32(0, true);
+  const kvdByteOffset = header.getUint32(8, true);
+  const kvdByteLength = header.getUint32(12, true);
+
+  // The DFD starts with its total size, followed by the basic descriptor block. The color model, primaries, transfer
+  // function, and flags are the bytes of the third word of that block, and a 16 byte description of each sample
+  // follows the 24 byte block header.
+  const basicBlockSize = new DataView(buffer, dfdByteOffset + 4, 8).getUint16(6, true);
+  const basicBlock = new DataView(buffer, dfdByteOffset + 4, basicBlockSize);
+  const colorModel = basicBlock.getUint8(8);
+  const transferFunction = basicBlock.getUint8(10);
+  const flags = basicBlock.getUint8(11);
+
+  // Basis Universal data has an alpha channel, or fewer than three channels, if its samples say so.
+  let hasAlpha = false;
+  let channelCount = 0;
+  const sampleChannels = colorModel == KHR_DF_MODEL_ETC1S ? ETC1S_SAMPLE_CHANNELS :
+    (colorModel == KHR_DF_MODEL_UASTC ? UASTC_SAMPLE_CHANNELS : {});
+  for (let sampleOffset = 24; sampleOffset + 16 <= basicBlockSize; sampleOffset += 16) {
+    const channels = sampleChannels[basicBlock.getUint8(sampleOffset + 3) & 0x0F];
+    if (channels) {
+      hasAlpha = hasAlpha || !!channels.hasAlpha;
+      channelCount += channels.channelCount;
+    }
   }
+
+  const keyValues = readKtx2KeyValueData(new Uint8Array(buffer, kvdByteOffset, kvdByteLength));
+  // Swizzles which don't change anything are dropped, so that renderers only need to check if one is present.
+  const swizzle = /^[rgba01]{4}$/.test(keyValues.KTXswizzle) && keyValues.KTXswizzle != 'rgba' ?
+    keyValues.KTXswizzle : null;
+
+  return {
+    transferFunction,
+    hasAlpha,
+    channelCount,
+    premultipliedAlpha: !!(flags & KHR_DF_FLAG_ALPHA_PREMULTIPLIED),
+    orientation: keyValues.KTXorientation || null,
+    swizzle,
+  };
 }
 
-// TODO: Expand this list too.
-function glFormatToGPUFormat(glInternalFormat) {
-  switch (glInternalFormat) {
-    case 0: // GL_NONE
-      throw new Error(`Cannot decode if glInternalFormat is GL_NONE`);
-    case 0x8051: // GL_RGB8
-      return 'rgb8unorm';
-    case 0x8058: // GL_RGBA8
-      return 'rgba8unorm';
-    case 0x8C41: // SRGB8
-      return 'rgb8unorm-srgb';
-    case 0x8C43: // SRGB8_ALPHA8
-      return 'rgba8unorm-srgb';
-    case 0x8C3A: // R11F_G11F_B10F
-      return 'rg11b10ufloat';
-    default:
-      throw new Error(`Unsupported glInternalFormat: ${glInternalFormat}`);
+/**
+ * Picks the variant of a format that matches the transfer function the file was encoded with, if the device supports
+ * it.
+ *
+ * @param {string} format - Format the texture data will be loaded as.
+ * @param {number} transferFunction - Transfer function from the file's Data Format Descriptor.
+ * @param {Array<string>} supportedFormats - Formats the device supports.
+ * @returns {string} - The format to use.
+ */
+function formatForTransferFunction(format, transferFunction, supportedFormats) {
+  let transferFormat;
+  if (transferFunction == KHR_DF_TRANSFER_SRGB) {
+    transferFormat = SRGB_FORMATS[format];
+  } else if (transferFunction == KHR_DF_TRANSFER_LINEAR) {
+    transferFormat = LINEAR_FORMATS[format];
   }
+  return transferFormat && supportedFormats.indexOf(transferFormat) > -1 ? transferFormat : format;
+}
+
+// Formats with one value per channel, which can have a swizzle applied to them.
+const SWIZZLE_FORMAT_PATTERN = /^(r|rg|rgb|rgba|bgr|bgra)(8|16|32)(unorm|snorm|uint|sint|float)(-srgb)?$/;
+const SWIZZLE_ARRAY_TYPES = {8: Uint8Array, 16: Uint16Array, 32: Uint32Array};
+// The bits of a channel containing 1 for each type of channel.
+const SWIZZLE_ONE_VALUES = {
+  '8unorm': 0xFF, '8snorm': 0x7F, '8uint': 1, '8sint': 1,
+  '16unorm': 0xFFFF, '16uint': 1, '16sint': 1, '16float': 0x3C00,
+  '32uint': 1, '32sint': 1, '32float': 0x3F800000,
+};
+
+/**
+ * Determines how to apply a swizzle to texture data of the given format.
+ *
+ * @param {string} format - Format of the texture data.
+ * @param {Array<string>} supportedFormats - Formats the device supports.
+ * @returns {object|null} - The channel layout of the format and the four channel format the swizzled data will have,
+ * or null if the swizzle can't be applied.
+ */
+function getSwizzleLayout(format, supportedFormats) {
+  const match = SWIZZLE_FORMAT_PATTERN.exec(format);
+  if (!match) {
+    return null;
+  }
+  const [, channels, bits, type, srgb = ''] = match;
+  const one = SWIZZLE_ONE_VALUES[bits + type];
+  // Swizzles may fill channels that the format doesn't have, so the swizzled data always has four channels.
+  const swizzledFormat = `rgba${bits}${type}${srgb}`;
+  if (one === undefined || supportedFormats.indexOf(swizzledFormat) == -1) {
+    return null;
+  }
+  return {channels, ArrayType: SWIZZLE_ARRAY_TYPES[bits], one, format: swizzledFormat};
+}
+
+/**
+ * Rearranges the channels of an image as described by a KTXswizzle.
+ *
+ * @param {Uint8Array} imageData - Tightly packed image data.
+ * @param {object} layout - Channel layout returned by getSwizzleLayout().
+ * @param {string} swizzle - Source of each of the R, G, B, and A channels: a channel name, '0', or '1'.
+ * @returns {Uint8Array} - The swizzled image data, with four channels per pixel.
+ */
+function swizzleImageData(imageData, layout, swizzle) {
+  const channelCount = layout.channels.length;
+  const src = new layout.ArrayType(
+      imageData.buffer, imageData.byteOffset, imageData.byteLength / layout.ArrayType.BYTES_PER_ELEMENT);
+  const pixelCount = src.length / channelCount;
+  const dst = new layout.ArrayType(pixelCount * 4);
+
+  // Offset of the source of each channel within a pixel, or -1 if the channel is filled with a constant. Missing
+  // alpha channels read as 1, like they do when sampling.
+  const sources = [...swizzle].map((channel) => layout.channels.indexOf(channel));
+  const constants = [...swizzle].map((channel) => channel == '1' || channel == 'a' ? layout.one : 0);
+
+  for (let i = 0; i < pixelCount; ++i) {
+    for (let channel = 0; channel < 4; ++channel) {
+      const source = sources[channel];
+      dst[i * 4 + channel] = source > -1 ? src[i * channelCount + source] : constants[channel];
+    }
+  }
+
+  return new Uint8Array(dst.buffer);
 }
 
 function getTextureType(ktxTexture) {
@@ -97,29 +565,25 @@ function getTextureType(ktxTexture) {
   return '2d';
 }
 
-async function parseFile(buffer, supportedFormats, mipmaps) {
+async function parseFile(buffer, supportedFormats, mipmaps, options) {
   const ktx = await KTX_INITIALIZED;
 
   // eslint-disable-next-line new-cap
   const ktxTexture = new ktx.ktxTexture(new Uint8Array(buffer));
 
+  // KTX1 files have no equivalent metadata, so they're loaded as-is.
+  const metadata = ktxTexture.classId == 2 ? readKtx2Metadata(buffer) : {};
+
   let format;
+  // Only set for uncompressed KTX1 files, which need row padding removed.
+  let ktx1BytesPerPixel = 0;
   if (ktxTexture.needsTranscoding) {
-    let transcodeFormat;
-    // eslint-disable-next-line guard-for-in
-    for (const targetFormat of alphaFormatPreference) {
-      const wttFormat = WTT_FORMAT_MAP[targetFormat];
-      if (supportedFormats.indexOf(wttFormat.format) > -1) {
-        format = wttFormat.format;
-        transcodeFormat = ktx.TranscodeTarget[targetFormat];
-        break;
-      }
-    }
-
-    if (!transcodeFormat) {
-      throw new Error('No appropriate transcode format found.');
-    }
+    const target = selectBasisTranscodeTarget(metadata, options.nativeFormats, options);
+    format = BASIS_TRANSCODE_TARGETS[target].format;
+    const transcodeFormat = ktx.TranscodeTarget[target];
 
+    // libktx transcodes every level in a single call, so there's no finer grained progress to report.
+    options.onProgress({stage: 'transcoding'});
     const result = ktxTexture.transcodeBasis(transcodeFormat, 0);
     if (result != ktx.ErrorCode.SUCCESS) {
       throw new Error('Unable to transcode basis texture.');
@@ -131,7 +595,9 @@ async function parseFile(buffer, supportedFormats, mipmaps) {
         throw new Error(`Texture stored in unsupported format: ${format}`);
       }
     } else if (ktxTexture.classId == 1) { // KTX texture
-      format = glFormatToGPUFormat(ktxTexture.glInternalformat);
+      const glFormat = glFormatToGPUFormat(readKtx1GLFormat(buffer));
+      format = glFormat.format;
+      ktx1BytesPerPixel = glFormat.bytesPerPixel;
       if (supportedFormats.indexOf(format) == -1) {
         throw new Error(`Texture stored in unsupported format: ${format}`);
       }
@@ -142,6 +608,18 @@ async function parseFile(buffer, supportedFormats, mipmaps) {
     throw new Error('Unable to identify texture format.');
   }
 
+  // Basis textures are transcoded to linear formats, so the transfer function is the only indication that they're
+  // sRGB encoded.
+  format = formatForTransferFunction(format, metadata.transferFunction, supportedFormats);
+
+  let swizzle = metadata.swizzle || null;
+  const swizzleLayout = swizzle && options.applySwizzle ? getSwizzleLayout(format, supportedFormats) : null;
+  if (swizzleLayout) {
+    format = swizzleLayout.format;
+    // The swizzle has been applied, so renderers don't need to know about it.
+    swizzle = null;
+  }
+
   const type = getTextureType(ktxTexture);
 
   const textureData = new WorkerTextureData({
@@ -150,6 +628,9 @@ async function parseFile(buffer, supportedFormats, mipmaps) {
     width: ktxTexture.baseWidth,
     height: ktxTexture.baseHeight,
     depth: ktxTexture.baseDepth,
+    orientation: metadata.orientation || null,
+    swizzle,
+    premultipliedAlpha: !!metadata.premultipliedAlpha,
   });
 
   // Transcode each mip level of each image.
@@ -161,9 +642,17 @@ async function parseFile(buffer, supportedFormats, mipmaps) {
         const sliceIndex = (layer * ktxTexture.numFaces) + face;
         const imageData = ktxTexture.getImageData(level, layer, face);
 
-        // Copy to a new Uint8Array for transfer.
-        const levelData = new Uint8Array(imageData.byteLength);
-        levelData.set(imageData);
+        let levelData;
+        if (ktx1BytesPerPixel && (textureLevel.width * ktx1BytesPerPixel) % 4) {
+          levelData = removeRowPadding(imageData, textureLevel.width, ktx1BytesPerPixel);
+        } else {
+          // Copy to a new Uint8Array for transfer.
+          levelData = new Uint8Array(imageData.byteLength);
+          levelData.set(imageData);
+        }
+        if (swizzleLayout) {
+          levelData = swizzleImageData(levelData, swizzleLayout, metadata.swizzle);
+        }
         textureLevel.setSlice(sliceIndex, levelData);
       }
     }
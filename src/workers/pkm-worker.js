@@ -0,0 +1,112 @@
+/**
+ * @file Web Worker for loading ETC compressed PKM texture files
+ * @module PKMWorker
+ */
+
+importScripts('./worker-util.js');
+
+// Format referenced from the etcpack and etc2comp sources, which write and read the files.
+const PKM_MAGIC = 'PKM ';
+
+const HEADER_BYTE_LENGTH = 16;
+
+const MAX_TEXTURE_DIMENSION_2D = 16384;
+
+// Header offsets, in bytes. Every field after the magic number is big endian.
+const OFF_VERSION = 4;
+const OFF_DATA_TYPE = 6;
+const OFF_EXTENDED_WIDTH = 8;
+const OFF_EXTENDED_HEIGHT = 10;
+const OFF_WIDTH = 12;
+const OFF_HEIGHT = 14;
+
+// Version 1.0 files only contain ETC1 data, and have an unused data type.
+const PKM_VERSIONS = ['10', '20'];
+
+// Formats by the header's data type.
+const PKM_DATA_TYPES = {
+  0: {format: 'etc1-rgb-unorm', blockBytes: 8}, // ETC1_RGB_NO_MIPMAPS
+  1: {format: 'etc2-rgb8unorm', blockBytes: 8}, // ETC2PACKAGE_RGB_NO_MIPMAPS
+  2: {format: 'etc2-rgba8unorm', blockBytes: 16}, // ETC2PACKAGE_RGBA_NO_MIPMAPS_OLD
+  3: {format: 'etc2-rgba8unorm', blockBytes: 16}, // ETC2PACKAGE_RGBA_NO_MIPMAPS
+  4: {format: 'etc2-rgb8a1unorm', blockBytes: 8}, // ETC2PACKAGE_RGBA1_NO_MIPMAPS
+  5: {format: 'eac-r11unorm', blockBytes: 8}, // ETC2PACKAGE_R_NO_MIPMAPS
+  6: {format: 'eac-rg11unorm', blockBytes: 16}, // ETC2PACKAGE_RG_NO_MIPMAPS
+  7: {format: 'eac-r11snorm', blockBytes: 8}, // ETC2PACKAGE_R_SIGNED_NO_MIPMAPS
+  8: {format: 'eac-rg11snorm', blockBytes: 16}, // ETC2PACKAGE_RG_SIGNED_NO_MIPMAPS
+  9: {format: 'etc2-rgb8unorm-srgb', blockBytes: 8}, // ETC2PACKAGE_sRGB_NO_MIPMAPS
+  10: {format: 'etc2-rgba8unorm-srgb', blockBytes: 16}, // ETC2PACKAGE_sRGBA_NO_MIPMAPS
+  11: {format: 'etc2-rgb8a1unorm-srgb', blockBytes: 8}, // ETC2PACKAGE_sRGBA1_NO_MIPMAPS
+};
+
+/**
+ * Parses a PKM file into a WorkerTextureData. ETC1 data is also valid ETC2 data, so it's loaded as 'etc2-rgb8unorm'
+ * where 'etc1-rgb-unorm' isn't supported, such as with WebGPU.
+ * Malformed files throw a TextureParseError naming the header field that was invalid.
+ *
+ * @param {ArrayBuffer} buffer - Contents of the PKM file.
+ * @param {Array<module:WebTextureTool.WebTextureFormat>} supportedFormats - Formats which the target API can support.
+ * @param {boolean} mipmaps - Unused, PKM files contain a single level and compressed textures can't generate mipmaps.
+ * @returns {object} - The texture data contained in the file, as a WorkerTextureData.
+ */
+function parseFile(buffer, supportedFormats, mipmaps) {
+  if (buffer.byteLength < HEADER_BYTE_LENGTH) {
+    throw new TextureParseError(`File is too small to be a PKM file: ${buffer.byteLength} bytes`, 'magic');
+  }
+
+  const header = new Uint8Array(buffer, 0, HEADER_BYTE_LENGTH);
+  const dataView = new DataView(buffer, 0, HEADER_BYTE_LENGTH);
+  if (String.fromCharCode(...header.subarray(0, 4)) != PKM_MAGIC) {
+    throw new TextureParseError('Invalid magic number in PKM header', 'magic');
+  }
+
+  const version = String.fromCharCode(header[OFF_VERSION], header[OFF_VERSION + 1]);
+  if (PKM_VERSIONS.indexOf(version) == -1) {
+    throw new TextureParseError(`Unsupported PKM version: ${version}`, 'version');
+  }
+
+  const dataType = version == '10' ? 0 : dataView.getUint16(OFF_DATA_TYPE);
+  const pkmFormat = PKM_DATA_TYPES[dataType];
+  if (!pkmFormat) {
+    throw new TextureParseError(`Unsupported PKM data type: ${dataType}`, 'dataType');
+  }
+
+  const width = dataView.getUint16(OFF_WIDTH);
+  const height = dataView.getUint16(OFF_HEIGHT);
+  const extendedWidth = dataView.getUint16(OFF_EXTENDED_WIDTH);
+  const extendedHeight = dataView.getUint16(OFF_EXTENDED_HEIGHT);
+  for (const [field, value] of [['width', width], ['height', height]]) {
+    if (value < 1 || value > MAX_TEXTURE_DIMENSION_2D) {
+      throw new TextureParseError(
+          `Invalid PKM ${field}: ${value}, must be between 1 and ${MAX_TEXTURE_DIMENSION_2D}`, field);
+    }
+  }
+  // The extended size is the image size padded to whole blocks.
+  const extendedSizes = [['extendedWidth', extendedWidth, width], ['extendedHeight', extendedHeight, height]];
+  for (const [field, value, size] of extendedSizes) {
+    if (value != Math.ceil(size / 4) * 4) {
+      throw new TextureParseError(`Invalid PKM ${field}: ${value} for an image size of ${size}`, field);
+    }
+  }
+
+  let format = pkmFormat.format;
+  if (format == 'etc1-rgb-unorm' && supportedFormats.indexOf(format) == -1 &&
+      supportedFormats.indexOf('etc2-rgb8unorm') > -1) {
+    format = 'etc2-rgb8unorm';
+  }
+  if (supportedFormats.indexOf(format) == -1) {
+    throw new Error(`Texture stored in unsupported format: ${format}`);
+  }
+
+  const byteLength = (extendedWidth / 4) * (extendedHeight / 4) * pkmFormat.blockBytes;
+  if (HEADER_BYTE_LENGTH + byteLength > buffer.byteLength) {
+    throw new TextureParseError(`Image data extends past the end of the file: needs ${byteLength} bytes at offset ` +
+        `${HEADER_BYTE_LENGTH}, but the file is ${buffer.byteLength} bytes`, 'data');
+  }
+
+  const textureData = new WorkerTextureData({format, width, height});
+  textureData.getLevel(0).setSlice(0, buffer, {byteOffset: HEADER_BYTE_LENGTH, byteLength});
+  return textureData;
+}
+
+onmessage = createTextureMessageHandler(parseFile);
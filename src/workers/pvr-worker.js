@@ -0,0 +1,545 @@
+/**
+ * @file Web Worker for loading PowerVR (PVR) version 3 texture files
+ * @module PVRWorker
+ */
+
+importScripts('./worker-util.js');
+
+// Format referenced from the PowerVR "PVR File Format Specification":
+// https://docs.imgtec.com/specifications/pvr-file-format-specification/html/topics/pvr-header-format.html
+const PVR_VERSION = 0x03525650; // 'PVR\x03'
+// The version as it appears when the file was written with the opposite endianness.
+const PVR_VERSION_SWAPPED = 0x50565203;
+// Version 2 files start with the size of their header instead.
+const PVR_V2_HEADER_SIZE = 52;
+
+const HEADER_BYTE_LENGTH = 52;
+const METADATA_HEADER_BYTE_LENGTH = 12;
+
+const PVR_FLAG_PREMULTIPLIED = 0x02;
+
+const PVR_COLOUR_SPACE_SRGB = 1;
+
+// Channel types, which decide between the normalized, integer, and signed variants of a pixel format.
+const PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM = 0;
+const PVR_CHANNEL_TYPE_SIGNED_BYTE_NORM = 1;
+const PVR_CHANNEL_TYPE_UNSIGNED_BYTE = 2;
+const PVR_CHANNEL_TYPE_SIGNED_BYTE = 3;
+const PVR_CHANNEL_TYPE_UNSIGNED_SHORT = 6;
+const PVR_CHANNEL_TYPE_SIGNED_SHORT = 7;
+const PVR_CHANNEL_TYPE_UNSIGNED_INTEGER = 10;
+const PVR_CHANNEL_TYPE_SIGNED_INTEGER = 11;
+const PVR_CHANNEL_TYPE_SIGNED_FLOAT = 12;
+const PVR_CHANNEL_TYPE_UNSIGNED_FLOAT = 13;
+
+// Metadata written by the PowerVR tools is identified by this FourCC and one of the keys below.
+const PVR_METADATA_FOURCC = PVR_VERSION;
+const PVR_METADATA_CUBE_MAP_ORDER = 2;
+const PVR_METADATA_ORIENTATION = 3;
+
+// The order that faces are given in WorkerTextureData, named as in the cube map order metadata.
+const CUBE_FACE_NAMES = 'XxYyZz';
+
+const MAX_TEXTURE_DIMENSION_2D = 16384;
+const MAX_TEXTURE_DIMENSION_3D = 2048;
+const MAX_TEXTURE_ARRAY_SIZE = 2048;
+
+// Header offsets, in 32 bit ints
+const OFF_VERSION = 0;
+const OFF_FLAGS = 1;
+const OFF_PIXEL_FORMAT_LOW = 2;
+const OFF_PIXEL_FORMAT_HIGH = 3;
+const OFF_COLOUR_SPACE = 4;
+const OFF_CHANNEL_TYPE = 5;
+const OFF_HEIGHT = 6;
+const OFF_WIDTH = 7;
+const OFF_DEPTH = 8;
+const OFF_NUM_SURFACES = 9;
+const OFF_NUM_FACES = 10;
+const OFF_MIP_MAP_COUNT = 11;
+const OFF_META_DATA_SIZE = 12;
+
+/**
+ * Describes a compressed pixel format.
+ *
+ * @param {string} format - WebTextureFormat of the linear variant.
+ * @param {string|null} srgbFormat - WebTextureFormat of the sRGB variant, if there is one.
+ * @param {number} blockWidth - Width of each block in pixels.
+ * @param {number} blockHeight - Height of each block in pixels.
+ * @param {number} blockBytes - Size of each block in bytes.
+ * @returns {object} - The pixel format description.
+ */
+function compressedFormat(format, srgbFormat, blockWidth, blockHeight, blockBytes) {
+  return {format, srgbFormat, blockWidth, blockHeight, blockBytes};
+}
+
+/**
+ * Describes an ASTC pixel format.
+ *
+ * @param {number} blockWidth - Width of each block in pixels.
+ * @param {number} blockHeight - Height of each block in pixels.
+ * @returns {object} - The pixel format description.
+ */
+function astcFormat(blockWidth, blockHeight) {
+  const size = `${blockWidth}x${blockHeight}`;
+  return compressedFormat(`astc-${size}-rgba-unorm`, `astc-${size}-rgba-unorm-srgb`, blockWidth, blockHeight, 16);
+}
+
+// Compressed and shared exponent formats are identified by an enum in the low 32 bits of the pixel format. Formats
+// which have snorm or float variants list them by channel type. PVRTC-II, the YUV formats, and the 3D ASTC formats have
+// no WebGL or WebGPU equivalent.
+const PVR_COMPRESSED_FORMATS = {
+  0: compressedFormat('pvrtc1-2bpp-rgb-unorm', null, 8, 4, 8), // PVRTC 2bpp RGB
+  1: compressedFormat('pvrtc1-2bpp-rgba-unorm', null, 8, 4, 8), // PVRTC 2bpp RGBA
+  2: compressedFormat('pvrtc1-4bpp-rgb-unorm', null, 4, 4, 8), // PVRTC 4bpp RGB
+  3: compressedFormat('pvrtc1-4bpp-rgba-unorm', null, 4, 4, 8), // PVRTC 4bpp RGBA
+  6: compressedFormat('etc1-rgb-unorm', null, 4, 4, 8), // ETC1
+  7: compressedFormat('bc1-rgba-unorm', 'bc1-rgba-unorm-srgb', 4, 4, 8), // DXT1
+  8: compressedFormat('bc2-rgba-unorm', 'bc2-rgba-unorm-srgb', 4, 4, 16), // DXT2, premultiplied DXT3
+  9: compressedFormat('bc2-rgba-unorm', 'bc2-rgba-unorm-srgb', 4, 4, 16), // DXT3
+  10: compressedFormat('bc3-rgba-unorm', 'bc3-rgba-unorm-srgb', 4, 4, 16), // DXT4, premultiplied DXT5
+  11: compressedFormat('bc3-rgba-unorm', 'bc3-rgba-unorm-srgb', 4, 4, 16), // DXT5
+  12: Object.assign(compressedFormat('bc4-r-unorm', null, 4, 4, 8), { // BC4
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE_NORM]: 'bc4-r-snorm',
+  }),
+  13: Object.assign(compressedFormat('bc5-rg-unorm', null, 4, 4, 16), { // BC5
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE_NORM]: 'bc5-rg-snorm',
+  }),
+  14: Object.assign(compressedFormat('bc6h-rgb-ufloat', null, 4, 4, 16), { // BC6
+    [PVR_CHANNEL_TYPE_SIGNED_FLOAT]: 'bc6h-rgb-float',
+  }),
+  15: compressedFormat('bc7-rgba-unorm', 'bc7-rgba-unorm-srgb', 4, 4, 16), // BC7
+  19: compressedFormat('rgb9e5ufloat', null, 1, 1, 4), // SharedExponentR9G9B9E5
+  22: compressedFormat('etc2-rgb8unorm', 'etc2-rgb8unorm-srgb', 4, 4, 8), // ETC2 RGB
+  23: compressedFormat('etc2-rgba8unorm', 'etc2-rgba8unorm-srgb', 4, 4, 16), // ETC2 RGBA
+  24: compressedFormat('etc2-rgb8a1unorm', 'etc2-rgb8a1unorm-srgb', 4, 4, 8), // ETC2 RGB A1
+  25: Object.assign(compressedFormat('eac-r11unorm', null, 4, 4, 8), { // EAC R11
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE_NORM]: 'eac-r11snorm',
+  }),
+  26: Object.assign(compressedFormat('eac-rg11unorm', null, 4, 4, 16), { // EAC RG11
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE_NORM]: 'eac-rg11snorm',
+  }),
+  27: astcFormat(4, 4),
+  28: astcFormat(5, 4),
+  29: astcFormat(5, 5),
+  30: astcFormat(6, 5),
+  31: astcFormat(6, 6),
+  32: astcFormat(8, 5),
+  33: astcFormat(8, 6),
+  34: astcFormat(8, 8),
+  35: astcFormat(10, 5),
+  36: astcFormat(10, 6),
+  37: astcFormat(10, 8),
+  38: astcFormat(10, 10),
+  39: astcFormat(12, 10),
+  40: astcFormat(12, 12),
+};
+
+// Pixel formats that are stored with alpha premultiplied, regardless of the header flags.
+const PVR_PREMULTIPLIED_FORMATS = [8, 10];
+
+// Uncompressed formats list their channel names in the low 32 bits of the pixel format and each channel's size in bits
+// in the high 32 bits, keyed here as a string such as 'rgba8888'. Each entry gives the format for each channel type,
+// the bytes per pixel, and for channel names with no WebGL or WebGPU equivalent the swizzle that maps them to RGBA.
+const PVR_UNCOMPRESSED_FORMATS = {
+  'r8': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'r8unorm',
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE_NORM]: 'r8snorm',
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE]: 'r8uint',
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE]: 'r8sint',
+    bytesPerPixel: 1,
+  },
+  'rg88': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'rg8unorm',
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE_NORM]: 'rg8snorm',
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE]: 'rg8uint',
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE]: 'rg8sint',
+    bytesPerPixel: 2,
+  },
+  'rgb888': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'rgb8unorm',
+    srgbFormat: 'rgb8unorm-srgb',
+    bytesPerPixel: 3,
+  },
+  'rgba8888': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'rgba8unorm',
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE_NORM]: 'rgba8snorm',
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE]: 'rgba8uint',
+    [PVR_CHANNEL_TYPE_SIGNED_BYTE]: 'rgba8sint',
+    srgbFormat: 'rgba8unorm-srgb',
+    bytesPerPixel: 4,
+  },
+  'bgra8888': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'bgra8unorm',
+    srgbFormat: 'bgra8unorm-srgb',
+    bytesPerPixel: 4,
+  },
+  'rgb565': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'rgb565unorm',
+    bytesPerPixel: 2,
+  },
+  'rgba4444': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'rgba4unorm',
+    bytesPerPixel: 2,
+  },
+  'rgba5551': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'rgba5551unorm',
+    bytesPerPixel: 2,
+  },
+  'r16': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_SHORT]: 'r16uint',
+    [PVR_CHANNEL_TYPE_SIGNED_SHORT]: 'r16sint',
+    [PVR_CHANNEL_TYPE_SIGNED_FLOAT]: 'r16float',
+    bytesPerPixel: 2,
+  },
+  'rg1616': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_SHORT]: 'rg16uint',
+    [PVR_CHANNEL_TYPE_SIGNED_SHORT]: 'rg16sint',
+    [PVR_CHANNEL_TYPE_SIGNED_FLOAT]: 'rg16float',
+    bytesPerPixel: 4,
+  },
+  'rgba16161616': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_SHORT]: 'rgba16uint',
+    [PVR_CHANNEL_TYPE_SIGNED_SHORT]: 'rgba16sint',
+    [PVR_CHANNEL_TYPE_SIGNED_FLOAT]: 'rgba16float',
+    bytesPerPixel: 8,
+  },
+  'r32': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_INTEGER]: 'r32uint',
+    [PVR_CHANNEL_TYPE_SIGNED_INTEGER]: 'r32sint',
+    [PVR_CHANNEL_TYPE_SIGNED_FLOAT]: 'r32float',
+    bytesPerPixel: 4,
+  },
+  'rg3232': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_INTEGER]: 'rg32uint',
+    [PVR_CHANNEL_TYPE_SIGNED_INTEGER]: 'rg32sint',
+    [PVR_CHANNEL_TYPE_SIGNED_FLOAT]: 'rg32float',
+    bytesPerPixel: 8,
+  },
+  'rgba32323232': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_INTEGER]: 'rgba32uint',
+    [PVR_CHANNEL_TYPE_SIGNED_INTEGER]: 'rgba32sint',
+    [PVR_CHANNEL_TYPE_SIGNED_FLOAT]: 'rgba32float',
+    bytesPerPixel: 16,
+  },
+  'bgr101111': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_FLOAT]: 'rg11b10ufloat',
+    bytesPerPixel: 4,
+  },
+  'l8': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'r8unorm',
+    swizzle: 'rrr1',
+    bytesPerPixel: 1,
+  },
+  'a8': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'r8unorm',
+    swizzle: '000r',
+    bytesPerPixel: 1,
+  },
+  'la88': {
+    [PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM]: 'rg8unorm',
+    swizzle: 'rrrg',
+    bytesPerPixel: 2,
+  },
+};
+
+/**
+ * Throws a TextureParseError if a header dimension is zero or larger than the given limit.
+ *
+ * @param {string} field - Name of the header field.
+ * @param {number} value - Value of the header field.
+ * @param {number} limit - Largest allowed value.
+ * @returns {void}
+ */
+function validateDimension(field, value, limit) {
+  if (value < 1 || value > limit) {
+    throw new TextureParseError(`Invalid PVR ${field}: ${value}, must be between 1 and ${limit}`, field);
+  }
+}
+
+/**
+ * Identifies the WebTextureFormat and layout of the header's pixel format.
+ *
+ * @param {Uint32Array} header - The PVR header.
+ * @returns {object} - The format, its block dimensions and size, and the swizzle needed to sample it.
+ */
+function readPixelFormat(header) {
+  const channelType = header[OFF_CHANNEL_TYPE];
+  const srgb = header[OFF_COLOUR_SPACE] == PVR_COLOUR_SPACE_SRGB;
+  const formatLow = header[OFF_PIXEL_FORMAT_LOW];
+  const formatHigh = header[OFF_PIXEL_FORMAT_HIGH];
+
+  let description;
+  let key;
+  if (formatHigh == 0) {
+    key = formatLow;
+    description = PVR_COMPRESSED_FORMATS[key];
+    if (!description) {
+      throw new TextureParseError(`Unsupported PVR pixel format: ${key}`, 'pixelFormat');
+    }
+    description = Object.assign({}, description, {
+      format: description[channelType] || description.format,
+      swizzle: null,
+    });
+  } else {
+    let names = '';
+    let bits = '';
+    for (let i = 0; i < 4; ++i) {
+      const name = (formatLow >> (i * 8)) & 0xFF;
+      if (name) {
+        names += String.fromCharCode(name);
+        bits += (formatHigh >> (i * 8)) & 0xFF;
+      }
+    }
+    key = names + bits;
+    const uncompressed = PVR_UNCOMPRESSED_FORMATS[key];
+    if (!uncompressed || !uncompressed[channelType]) {
+      throw new TextureParseError(`Unsupported PVR pixel format: ${key} with channel type ${channelType}`,
+          'pixelFormat');
+    }
+    description = {
+      format: uncompressed[channelType],
+      srgbFormat: channelType == PVR_CHANNEL_TYPE_UNSIGNED_BYTE_NORM ? uncompressed.srgbFormat : null,
+      blockWidth: 1,
+      blockHeight: 1,
+      blockBytes: uncompressed.bytesPerPixel,
+      swizzle: uncompressed.swizzle || null,
+    };
+  }
+
+  // PVRTC1 textures must be at least two blocks wide and high.
+  description.minBlocks = formatHigh == 0 && key <= 3 ? 2 : 1;
+  description.premultipliedAlpha = formatHigh == 0 && PVR_PREMULTIPLIED_FORMATS.indexOf(key) > -1;
+  if (!srgb) {
+    description.srgbFormat = null;
+  }
+  return description;
+}
+
+/**
+ * Reads the metadata that follows the header. Only the cube map face order and orientation affect how the texture is
+ * loaded, everything else is skipped.
+ *
+ * @param {ArrayBuffer} buffer - Contents of the PVR file.
+ * @param {number} byteLength - Size of the metadata in bytes.
+ * @param {boolean} is3D - True if the orientation should include the Z axis.
+ * @returns {object} - The orientation string, and the WorkerTextureData face that each face in the file maps to.
+ */
+function readMetadata(buffer, byteLength, is3D) {
+  const dataView = new DataView(buffer, HEADER_BYTE_LENGTH, byteLength);
+  const metadata = {orientation: null, faceOrder: null};
+
+  let offset = 0;
+  while (offset < byteLength) {
+    if (offset + METADATA_HEADER_BYTE_LENGTH > byteLength) {
+      throw new TextureParseError('Metadata block header extends past the end of the metadata', 'metaDataSize');
+    }
+    const fourCC = dataView.getUint32(offset, true);
+    const key = dataView.getUint32(offset + 4, true);
+    const dataSize = dataView.getUint32(offset + 8, true);
+    offset += METADATA_HEADER_BYTE_LENGTH;
+    if (offset + dataSize > byteLength) {
+      throw new TextureParseError(`Metadata block ${key} extends past the end of the metadata`, 'metaDataSize');
+    }
+
+    if (fourCC == PVR_METADATA_FOURCC) {
+      if (key == PVR_METADATA_CUBE_MAP_ORDER && dataSize >= 6) {
+        const faceOrder = [];
+        for (let i = 0; i < 6; ++i) {
+          const face = CUBE_FACE_NAMES.indexOf(String.fromCharCode(dataView.getUint8(offset + i)));
+          if (face == -1 || faceOrder.indexOf(face) > -1) {
+            throw new TextureParseError('Invalid PVR cube map face order', 'metadata');
+          }
+          faceOrder.push(face);
+        }
+        metadata.faceOrder = faceOrder;
+      } else if (key == PVR_METADATA_ORIENTATION && dataSize >= 3) {
+        // Each axis is 0 for the default direction, which matches KTX's 'rdi', or non-zero if it's reversed.
+        metadata.orientation = (dataView.getUint8(offset) ? 'l' : 'r') +
+                               (dataView.getUint8(offset + 1) ? 'u' : 'd');
+        if (is3D) {
+          metadata.orientation += dataView.getUint8(offset + 2) ? 'o' : 'i';
+        }
+      }
+    }
+    offset += dataSize;
+  }
+
+  return metadata;
+}
+
+/**
+ * Copies single or two channel 8 bit data into RGBA, for textures whose swizzle is applied when loading.
+ *
+ * @param {Uint8Array} src - Source pixels.
+ * @param {number} channelCount - Number of channels in the source data.
+ * @param {string} swizzle - Source of each output channel: 'r', 'g', '0' or '1'.
+ * @returns {Uint8Array} - RGBA pixels.
+ */
+function swizzleToRgba8(src, channelCount, swizzle) {
+  const pixelCount = src.length / channelCount;
+  const dst = new Uint8Array(pixelCount * 4);
+  for (let channel = 0; channel < 4; ++channel) {
+    const source = swizzle[channel];
+    if (source == '0') {
+      continue;
+    }
+    const sourceChannel = source == 'g' ? 1 : 0;
+    for (let i = 0; i < pixelCount; ++i) {
+      dst[i * 4 + channel] = source == '1' ? 0xFF : src[i * channelCount + sourceChannel];
+    }
+  }
+  return dst;
+}
+
+/**
+ * Parses a PVR version 3 file into a WorkerTextureData.
+ * Malformed files throw a TextureParseError naming the header field or level that was invalid.
+ *
+ * @param {ArrayBuffer} buffer - Contents of the PVR file.
+ * @param {Array<module:WebTextureTool.WebTextureFormat>} supportedFormats - Formats which the target API can support.
+ * @param {boolean} [mipmaps] - If false only the top mipmap level will be loaded, otherwise all available mipmaps will
+ * be loaded.
+ * @param {object} options - Additional options for the request.
+ * @param {boolean} options.applySwizzle - True if luminance and alpha textures should be expanded to four channels.
+ * @returns {object} - The texture data contained in the file, as a WorkerTextureData.
+ */
+function parseFile(buffer, supportedFormats, mipmaps, options) {
+  if (buffer.byteLength < HEADER_BYTE_LENGTH) {
+    throw new TextureParseError(`File is too small to be a PVR file: ${buffer.byteLength} bytes`, 'version');
+  }
+
+  const header = new Uint32Array(buffer, 0, HEADER_BYTE_LENGTH / 4);
+
+  if (header[OFF_VERSION] != PVR_VERSION) {
+    if (header[OFF_VERSION] == PVR_VERSION_SWAPPED) {
+      throw new TextureParseError('Big endian PVR files are not supported', 'version');
+    } else if (header[OFF_VERSION] == PVR_V2_HEADER_SIZE) {
+      throw new TextureParseError('Only version 3 PVR files are supported', 'version');
+    }
+    throw new TextureParseError('Invalid version in PVR header', 'version');
+  }
+
+  const width = header[OFF_WIDTH];
+  const height = header[OFF_HEIGHT];
+  const depth = header[OFF_DEPTH];
+  const surfaceCount = header[OFF_NUM_SURFACES];
+  const faceCount = header[OFF_NUM_FACES];
+
+  let type = '2d';
+  if (depth > 1) {
+    type = '3d';
+  } else if (faceCount > 1) {
+    type = 'cube';
+  } else if (surfaceCount > 1) {
+    type = '2d-array';
+  }
+
+  const maxDimension = type == '3d' ? MAX_TEXTURE_DIMENSION_3D : MAX_TEXTURE_DIMENSION_2D;
+  validateDimension('width', width, maxDimension);
+  validateDimension('height', height, maxDimension);
+  validateDimension('depth', depth, maxDimension);
+  validateDimension('numSurfaces', surfaceCount, MAX_TEXTURE_ARRAY_SIZE);
+  if (faceCount != 1 && faceCount != 6) {
+    throw new TextureParseError(`Invalid PVR face count: ${faceCount}, must be 1 or 6`, 'numFaces');
+  }
+  if (type == '3d' && (faceCount > 1 || surfaceCount > 1)) {
+    throw new TextureParseError('Arrays and cube maps of volume textures are not supported', 'depth');
+  }
+  if (type == 'cube' && surfaceCount > 1) {
+    throw new TextureParseError('Cube map array PVR textures are not supported', 'numSurfaces');
+  }
+  if (type == 'cube' && width != height) {
+    throw new TextureParseError(`Cube map faces must be square, got ${width}x${height}`, 'height');
+  }
+
+  const levelCount = Math.max(1, header[OFF_MIP_MAP_COUNT]);
+  const maxLevelCount = Math.floor(Math.log2(Math.max(width, height, depth))) + 1;
+  if (levelCount > maxLevelCount) {
+    throw new TextureParseError(
+        `Invalid PVR mipmap count: ${levelCount}, a ${width}x${height} texture has at most ${maxLevelCount}`,
+        'mipMapCount');
+  }
+
+  const metadataByteLength = header[OFF_META_DATA_SIZE];
+  if (HEADER_BYTE_LENGTH + metadataByteLength > buffer.byteLength) {
+    throw new TextureParseError(`Metadata extends past the end of the file: ${metadataByteLength} bytes`,
+        'metaDataSize');
+  }
+  const metadata = readMetadata(buffer, metadataByteLength, type == '3d');
+
+  const pixelFormat = readPixelFormat(header);
+  let format = pixelFormat.format;
+  if (pixelFormat.srgbFormat && supportedFormats.indexOf(pixelFormat.srgbFormat) > -1) {
+    format = pixelFormat.srgbFormat;
+  }
+
+  let swizzle = pixelFormat.swizzle;
+  const expandSwizzle = swizzle && options.applySwizzle;
+  if (expandSwizzle) {
+    format = 'rgba8unorm';
+    // The swizzle has been applied, so renderers don't need to know about it.
+    swizzle = null;
+  }
+
+  if (supportedFormats.indexOf(format) == -1) {
+    throw new Error(`Texture stored in unsupported format: ${format}`);
+  }
+
+  const layerCount = type == '2d-array' ? surfaceCount : faceCount;
+  const textureData = new WorkerTextureData({
+    format,
+    type,
+    width,
+    height,
+    depth: type == '3d' ? depth : layerCount,
+    orientation: metadata.orientation,
+    swizzle,
+    premultipliedAlpha: pixelFormat.premultipliedAlpha || !!(header[OFF_FLAGS] & PVR_FLAG_PREMULTIPLIED),
+  });
+
+  // Data is stored as every surface (array layer) and face of the first mip level, followed by the next level, etc.
+  // Each face contains all of that level's depth slices.
+  const loadedLevelCount = mipmaps !== false ? levelCount : 1;
+  let dataOffset = HEADER_BYTE_LENGTH + metadataByteLength;
+  for (let level = 0; level < loadedLevelCount; ++level) {
+    const levelWidth = Math.max(1, width >> level);
+    const levelHeight = Math.max(1, height >> level);
+    const levelDepth = type == '3d' ? Math.max(1, depth >> level) : 1;
+    const byteLength = Math.max(pixelFormat.minBlocks, Math.ceil(levelWidth / pixelFormat.blockWidth)) *
+                       Math.max(pixelFormat.minBlocks, Math.ceil(levelHeight / pixelFormat.blockHeight)) *
+                       pixelFormat.blockBytes;
+
+    const levelEnd = dataOffset + byteLength * levelDepth * surfaceCount * faceCount;
+    if (levelEnd > buffer.byteLength) {
+      throw new TextureParseError(`Level ${level} extends past the end of the file: needs ` +
+          `${levelEnd - dataOffset} bytes at offset ${dataOffset}, but the file is ${buffer.byteLength} bytes`, 'data');
+    }
+
+    const textureLevel = textureData.getLevel(level);
+    for (let surface = 0; surface < surfaceCount; ++surface) {
+      for (let face = 0; face < faceCount; ++face) {
+        for (let z = 0; z < levelDepth; ++z) {
+          let sliceIndex = surface;
+          if (type == '3d') {
+            sliceIndex = z;
+          } else if (type == 'cube') {
+            sliceIndex = metadata.faceOrder ? metadata.faceOrder[face] : face;
+          }
+
+          if (expandSwizzle) {
+            const src = new Uint8Array(buffer, dataOffset, byteLength);
+            textureLevel.setSlice(sliceIndex, swizzleToRgba8(src, pixelFormat.blockBytes, pixelFormat.swizzle));
+          } else {
+            textureLevel.setSlice(sliceIndex, buffer, {byteOffset: dataOffset, byteLength});
+          }
+          dataOffset += byteLength;
+        }
+      }
+    }
+  }
+
+  return textureData;
+}
+
+onmessage = createTextureMessageHandler(parseFile);
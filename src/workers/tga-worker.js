@@ -0,0 +1,294 @@
+/**
+ * @file Web Worker for loading Truevision TGA texture files
+ * @module TGAWorker
+ */
+
+importScripts('./worker-util.js');
+
+// Format referenced from the Truevision TGA File Format Specification, Version 2.0.
+const TGA_HEADER_SIZE = 18;
+
+const TGA_TYPE_COLOR_MAPPED = 1;
+const TGA_TYPE_TRUE_COLOR = 2;
+const TGA_TYPE_GRAYSCALE = 3;
+const TGA_TYPE_RLE_FLAG = 8;
+
+// Bits of the image descriptor byte.
+const TGA_DESCRIPTOR_ALPHA_BITS = 0x0f;
+const TGA_DESCRIPTOR_RIGHT_TO_LEFT = 0x10;
+const TGA_DESCRIPTOR_TOP_TO_BOTTOM = 0x20;
+
+// TGA 2.0 files end with a footer pointing to an extension area, which describes how the alpha channel is used.
+const TGA_FOOTER_SIZE = 26;
+const TGA_FOOTER_SIGNATURE = 'TRUEVISION-XFILE.\0';
+const TGA_EXTENSION_AREA_SIZE = 495;
+const TGA_ATTRIBUTES_TYPE_OFFSET = 494;
+const TGA_ATTRIBUTES_USEFUL_ALPHA = 3;
+const TGA_ATTRIBUTES_PREMULTIPLIED_ALPHA = 4;
+
+const MAX_TEXTURE_DIMENSION_2D = 16384;
+
+// Valid pixel depths for each image type, and for the entries of a color map.
+const TGA_PIXEL_DEPTHS = {
+  [TGA_TYPE_COLOR_MAPPED]: [8, 16],
+  [TGA_TYPE_TRUE_COLOR]: [15, 16, 24, 32],
+  [TGA_TYPE_GRAYSCALE]: [8, 16],
+};
+const TGA_COLOR_MAP_ENTRY_SIZES = [15, 16, 24, 32];
+
+/**
+ * Reads the alpha type from the extension area of TGA 2.0 files.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @param {DataView} view - View of the file contents.
+ * @returns {number|null} - The extension area's attributes type, or null if the file doesn't have one.
+ */
+function readAttributesType(bytes, view) {
+  if (bytes.length < TGA_HEADER_SIZE + TGA_FOOTER_SIZE) {
+    return null;
+  }
+  const footer = bytes.length - TGA_FOOTER_SIZE;
+  const signature = String.fromCharCode(...bytes.subarray(footer + 8));
+  if (signature != TGA_FOOTER_SIGNATURE) {
+    return null;
+  }
+  const extensionOffset = view.getUint32(footer, true);
+  if (!extensionOffset || extensionOffset + TGA_EXTENSION_AREA_SIZE > footer ||
+      view.getUint16(extensionOffset, true) < TGA_EXTENSION_AREA_SIZE) {
+    return null;
+  }
+  return bytes[extensionOffset + TGA_ATTRIBUTES_TYPE_OFFSET];
+}
+
+/**
+ * Reads the file's pixels, expanding runs if the image is RLE compressed.
+ *
+ * @param {Uint8Array} bytes - File contents.
+ * @param {number} offset - Offset of the image data.
+ * @param {number} pixelCount - Number of pixels in the image.
+ * @param {number} bytesPerPixel - Size of each pixel.
+ * @param {boolean} rle - True if the image data is RLE compressed.
+ * @returns {Uint8Array} - The image's pixels, in the order they're stored in the file.
+ */
+function readPixels(bytes, offset, pixelCount, bytesPerPixel, rle) {
+  const byteLength = pixelCount * bytesPerPixel;
+  if (!rle) {
+    if (offset + byteLength > bytes.length) {
+      throw new TextureParseError(`Image data extends past the end of the file: needs ${byteLength} bytes at ` +
+          `offset ${offset}, file is ${bytes.length} bytes`, 'data');
+    }
+    return bytes.subarray(offset, offset + byteLength);
+  }
+
+  // Each packet is a header byte followed by either one pixel repeated, or a sequence of literal pixels. Packets can
+  // continue from one row to the next.
+  const pixels = new Uint8Array(byteLength);
+  let pixelOffset = 0;
+  while (pixelOffset < byteLength) {
+    if (offset >= bytes.length) {
+      throw new TextureParseError('RLE image data ended unexpectedly', 'data');
+    }
+    const packet = bytes[offset++];
+    const count = (packet & 0x7f) + 1;
+    const packetLength = count * bytesPerPixel;
+    if (pixelOffset + packetLength > byteLength) {
+      throw new TextureParseError('RLE packet extends past the end of the image', 'data');
+    }
+    if (packet & 0x80) {
+      if (offset + bytesPerPixel > bytes.length) {
+        throw new TextureParseError('RLE image data ended unexpectedly', 'data');
+      }
+      const pixel = bytes.subarray(offset, offset + bytesPerPixel);
+      for (let i = 0; i < count; ++i, pixelOffset += bytesPerPixel) {
+        pixels.set(pixel, pixelOffset);
+      }
+      offset += bytesPerPixel;
+    } else {
+      if (offset + packetLength > bytes.length) {
+        throw new TextureParseError('RLE image data ended unexpectedly', 'data');
+      }
+      pixels.set(bytes.subarray(offset, offset + packetLength), pixelOffset);
+      pixelOffset += packetLength;
+      offset += packetLength;
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Converts a 15, 16, 24, or 32 bit color, as used by true color images and color maps, to BGRA.
+ *
+ * @param {Uint8Array} src - Source pixels.
+ * @param {number} srcOffset - Offset of the pixel to convert.
+ * @param {number} bitsPerPixel - Size of the source pixel.
+ * @param {boolean} hasAlpha - True if the pixel's alpha is meaningful. Otherwise alpha is always 255.
+ * @param {Uint8Array} dst - BGRA pixels.
+ * @param {number} dstOffset - Offset to write the converted pixel to.
+ * @returns {void}
+ */
+function colorToBgra(src, srcOffset, bitsPerPixel, hasAlpha, dst, dstOffset) {
+  switch (bitsPerPixel) {
+    case 15:
+    case 16: {
+      // ARRRRRGG GGGBBBBB, stored little endian.
+      const px = src[srcOffset] | (src[srcOffset + 1] << 8);
+      dst[dstOffset] = expand5(px & 0x1f);
+      dst[dstOffset + 1] = expand5((px >> 5) & 0x1f);
+      dst[dstOffset + 2] = expand5((px >> 10) & 0x1f);
+      dst[dstOffset + 3] = !hasAlpha || px & 0x8000 ? 0xff : 0;
+      break;
+    }
+    case 24:
+      dst[dstOffset] = src[srcOffset];
+      dst[dstOffset + 1] = src[srcOffset + 1];
+      dst[dstOffset + 2] = src[srcOffset + 2];
+      dst[dstOffset + 3] = 0xff;
+      break;
+    case 32:
+      dst[dstOffset] = src[srcOffset];
+      dst[dstOffset + 1] = src[srcOffset + 1];
+      dst[dstOffset + 2] = src[srcOffset + 2];
+      dst[dstOffset + 3] = hasAlpha ? src[srcOffset + 3] : 0xff;
+      break;
+  }
+}
+
+/**
+ * Parses a TGA file into a WorkerTextureData. True color and color mapped images are loaded as 'bgra8unorm', which is
+ * transcoded to 'rgba8unorm' where it isn't supported. Grayscale images are loaded as 'r8unorm' with an 'rrr1' swizzle,
+ * or 'rgba8unorm' if they have alpha or the swizzle is applied.
+ * Malformed files throw a TextureParseError naming the header field that was invalid.
+ *
+ * @param {ArrayBuffer} buffer - Contents of the TGA file.
+ * @param {Array<module:WebTextureTool.WebTextureFormat>} supportedFormats - Formats which the target API can support.
+ * @param {boolean} mipmaps - Unused, TGA files don't contain mipmaps.
+ * @param {object} options - Additional options for the request.
+ * @param {boolean} options.applySwizzle - True if grayscale images should be expanded to four channels.
+ * @returns {object} - The decoded texture, as a WorkerTextureData.
+ */
+function parseFile(buffer, supportedFormats, mipmaps, options) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  if (bytes.length < TGA_HEADER_SIZE) {
+    throw new TextureParseError(`File is too small to be a TGA file: ${bytes.length} bytes`, 'header');
+  }
+
+  const idLength = bytes[0];
+  const colorMapType = bytes[1];
+  const imageType = bytes[2] & ~TGA_TYPE_RLE_FLAG;
+  const rle = !!(bytes[2] & TGA_TYPE_RLE_FLAG);
+  const colorMapFirstEntry = view.getUint16(3, true);
+  const colorMapLength = view.getUint16(5, true);
+  const colorMapEntrySize = bytes[7];
+  const width = view.getUint16(12, true);
+  const height = view.getUint16(14, true);
+  const pixelDepth = bytes[16];
+  const descriptor = bytes[17];
+
+  if (!TGA_PIXEL_DEPTHS[imageType]) {
+    throw new TextureParseError(`Unsupported TGA image type: ${bytes[2]}`, 'imageType');
+  }
+  if (TGA_PIXEL_DEPTHS[imageType].indexOf(pixelDepth) == -1) {
+    throw new TextureParseError(`Unsupported pixel depth for TGA image type ${bytes[2]}: ${pixelDepth}`,
+        'pixelDepth');
+  }
+  for (const [field, value] of [['width', width], ['height', height]]) {
+    if (value < 1 || value > MAX_TEXTURE_DIMENSION_2D) {
+      throw new TextureParseError(
+          `Invalid TGA ${field}: ${value}, must be between 1 and ${MAX_TEXTURE_DIMENSION_2D}`, field);
+    }
+  }
+
+  let offset = TGA_HEADER_SIZE + idLength;
+
+  // Color maps can be present even in images that don't use them, and have to be skipped.
+  let colorMap = null;
+  if (colorMapType == 1) {
+    if (TGA_COLOR_MAP_ENTRY_SIZES.indexOf(colorMapEntrySize) == -1) {
+      throw new TextureParseError(`Unsupported TGA color map entry size: ${colorMapEntrySize}`, 'colorMapEntrySize');
+    }
+    const entryBytes = Math.ceil(colorMapEntrySize / 8);
+    if (offset + colorMapLength * entryBytes > bytes.length) {
+      throw new TextureParseError('Color map extends past the end of the file', 'colorMap');
+    }
+    colorMap = bytes.subarray(offset, offset + colorMapLength * entryBytes);
+    offset += colorMapLength * entryBytes;
+  } else if (colorMapType != 0) {
+    throw new TextureParseError(`Unsupported TGA color map type: ${colorMapType}`, 'colorMapType');
+  }
+  if (imageType == TGA_TYPE_COLOR_MAPPED && !colorMap) {
+    throw new TextureParseError('Color mapped TGA image has no color map', 'colorMapType');
+  }
+
+  // Alpha is only used if the descriptor says the pixels have alpha bits, and TGA 2.0 files can also say that those
+  // bits don't contain anything useful.
+  const attributesType = readAttributesType(bytes, view);
+  const hasAlpha = (descriptor & TGA_DESCRIPTOR_ALPHA_BITS) > 0 &&
+      (attributesType === null || attributesType >= TGA_ATTRIBUTES_USEFUL_ALPHA);
+
+  const bytesPerPixel = Math.ceil(pixelDepth / 8);
+  const src = readPixels(bytes, offset, width * height, bytesPerPixel, rle);
+
+  let format;
+  let dstBytesPerPixel;
+  let swizzle = null;
+  if (imageType != TGA_TYPE_GRAYSCALE) {
+    format = 'bgra8unorm';
+    dstBytesPerPixel = 4;
+  } else if (pixelDepth == 8 && !options.applySwizzle) {
+    format = 'r8unorm';
+    dstBytesPerPixel = 1;
+    swizzle = 'rrr1';
+  } else {
+    format = 'rgba8unorm';
+    dstBytesPerPixel = 4;
+  }
+
+  const dst = new Uint8Array(width * height * dstBytesPerPixel);
+  const rightToLeft = !!(descriptor & TGA_DESCRIPTOR_RIGHT_TO_LEFT);
+  const topToBottom = !!(descriptor & TGA_DESCRIPTOR_TOP_TO_BOTTOM);
+
+  for (let y = 0; y < height; ++y) {
+    // Textures are stored top to bottom and left to right, so rows and columns may need to be flipped.
+    const dstRow = topToBottom ? y : height - y - 1;
+    for (let x = 0; x < width; ++x) {
+      const srcOffset = (y * width + x) * bytesPerPixel;
+      const dstOffset = (dstRow * width + (rightToLeft ? width - x - 1 : x)) * dstBytesPerPixel;
+
+      switch (imageType) {
+        case TGA_TYPE_TRUE_COLOR:
+          colorToBgra(src, srcOffset, pixelDepth, hasAlpha, dst, dstOffset);
+          break;
+        case TGA_TYPE_COLOR_MAPPED: {
+          const index = (pixelDepth == 16 ? src[srcOffset] | (src[srcOffset + 1] << 8) : src[srcOffset]) -
+              colorMapFirstEntry;
+          if (index < 0 || index >= colorMapLength) {
+            throw new TextureParseError(`Color map index out of range: ${index + colorMapFirstEntry}`, 'data');
+          }
+          colorToBgra(colorMap, index * Math.ceil(colorMapEntrySize / 8), colorMapEntrySize, hasAlpha, dst,
+              dstOffset);
+          break;
+        }
+        case TGA_TYPE_GRAYSCALE:
+          if (dstBytesPerPixel == 1) {
+            dst[dstOffset] = src[srcOffset];
+          } else {
+            dst[dstOffset] = dst[dstOffset + 1] = dst[dstOffset + 2] = src[srcOffset];
+            dst[dstOffset + 3] = pixelDepth == 16 && hasAlpha ? src[srcOffset + 1] : 0xff;
+          }
+          break;
+      }
+    }
+  }
+
+  return new WorkerTextureData({
+    format,
+    width,
+    height,
+    swizzle,
+    premultipliedAlpha: hasAlpha && attributesType == TGA_ATTRIBUTES_PREMULTIPLIED_ALPHA,
+    imageData: dst,
+  });
+}
+
+onmessage = createTextureMessageHandler(parseFile);
@@ -3,73 +3,485 @@
  * @module WorkerUtil
  */
 
+/**
+ * Error thrown by file parsers when a file is malformed, identifying the part of the file that was invalid.
+ */
+class TextureParseError extends Error {
+  /**
+   * Creates a TextureParseError.
+   *
+   * @param {string} message - Description of the problem.
+   * @param {string} field - Name of the header field or section of the file that was invalid.
+   */
+  constructor(message, field) {
+    super(message);
+    this.name = 'TextureParseError';
+    this.field = field;
+  }
+}
+
 /**
  * Notifies the main thread when transcoding a texture has failed to load for any reason.
  *
  * @param {number} id - Identifier for the texture being transcoded.
  * @param {string} errorMsg - Description of the error that occured
+ * @param {object} [errorInfo] - Additional properties, such as name and field, to set on the error that is reported.
  * @returns {void}
  */
-function textureLoadFail(id, errorMsg) {
+function textureLoadFail(id, errorMsg, errorInfo = null) {
   postMessage({
     id: id,
     error: errorMsg,
+    errorInfo,
+  });
+}
+
+/**
+ * Notifies the main thread that a texture request was aborted and no texture data will be sent for it.
+ *
+ * @param {number} id - Identifier for the texture being transcoded.
+ * @returns {void}
+ */
+function textureLoadAborted(id) {
+  postMessage({
+    id: id,
+    aborted: true,
+  });
+}
+
+/**
+ * Notifies the main thread of progress made while loading a texture.
+ *
+ * @param {number} id - Identifier for the texture being transcoded.
+ * @param {object} progress - Description of the current loading stage.
+ * @returns {void}
+ */
+function textureLoadProgress(id, progress) {
+  postMessage({
+    id: id,
+    progress: progress,
   });
 }
 
+/**
+ * Reads the body of a fetch response into an ArrayBuffer, reporting the number of bytes received as it goes.
+ *
+ * @param {Response} response - Response from a successful fetch.
+ * @param {Function} onProgress - Called each time a chunk of the body is received.
+ * @returns {Promise<ArrayBuffer>} - The complete response body.
+ */
+async function readResponseBuffer(response, onProgress) {
+  const total = parseInt(response.headers.get('Content-Length')) || 0;
+
+  // Streaming the body is only worth it if someone is listening for progress.
+  if (!onProgress || !response.body) {
+    return response.arrayBuffer();
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  while (true) {
+    const {done, value} = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress({stage: 'downloading', loaded, total});
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes.buffer;
+}
+
+// Persistent cache of transcoded textures, stored in IndexedDB.
+// The database name must match PERSISTENT_CACHE_DB_NAME in texture-loader-base.js, which deletes it when cleared.
+const PERSISTENT_CACHE_DB_NAME = 'web-texture-tool';
+const PERSISTENT_CACHE_DB_VERSION = 1;
+// Small records describing each cached texture, used to find it's validator and for LRU eviction.
+const PERSISTENT_CACHE_ENTRY_STORE = 'entries';
+// The (potentially large) texture data for each entry, kept separate so it doesn't need to be rewritten on every hit.
+const PERSISTENT_CACHE_DATA_STORE = 'textures';
+
+let persistentCacheDb = null;
+
+/**
+ * Wraps an IDBRequest or IDBTransaction in a promise.
+ *
+ * @param {IDBRequest|IDBTransaction} request - Request or transaction to wait on.
+ * @returns {Promise} - Resolves to the request's result when it succeeds.
+ */
+function idbPromise(request) {
+  return new Promise((resolve, reject) => {
+    if (request instanceof IDBTransaction) {
+      request.oncomplete = () => resolve();
+      request.onabort = () => reject(request.error);
+    } else {
+      request.onsuccess = () => resolve(request.result);
+    }
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the persistent cache database, creating it if needed.
+ *
+ * @returns {Promise<IDBDatabase>} - The opened database.
+ */
+function openPersistentCache() {
+  if (!persistentCacheDb) {
+    const request = indexedDB.open(PERSISTENT_CACHE_DB_NAME, PERSISTENT_CACHE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const entryStore = db.createObjectStore(PERSISTENT_CACHE_ENTRY_STORE, {keyPath: 'key'});
+      entryStore.createIndex('lastUsed', 'lastUsed');
+      db.createObjectStore(PERSISTENT_CACHE_DATA_STORE, {keyPath: 'key'});
+    };
+    persistentCacheDb = idbPromise(request).then((db) => {
+      // Close the connection if the main thread wants to delete the database, so that we don't block it.
+      db.onversionchange = () => {
+        db.close();
+        persistentCacheDb = null;
+      };
+      return db;
+    });
+    persistentCacheDb.catch(() => {
+      persistentCacheDb = null;
+    });
+  }
+  return persistentCacheDb;
+}
+
+/**
+ * Builds the key that a transcoded texture is stored under. Includes everything that affects the transcoded output.
+ *
+ * @param {object} request - Message data for the texture request.
+ * @returns {string} - Persistent cache key.
+ */
+function getPersistentCacheKey(request) {
+  const supportedFormats = [...request.supportedFormats].sort();
+  return JSON.stringify([
+    request.url,
+    request.mipmaps,
+    !!request.applySwizzle,
+    request.transcodeHint || null,
+    request.transcodePreference || 'default',
+    request.imageIndex || 0,
+    request.hdrFormat || 'rgba16float',
+    request.exrChannels || null,
+    supportedFormats,
+  ]);
+}
+
+/**
+ * Reads the headers that identify the version of a file from a response. The ETag is preferred, but cross-origin
+ * responses only include it if the server exposes it, while Last-Modified is always readable.
+ *
+ * @param {Response} response - Response the texture was loaded from.
+ * @returns {object|null} - The response's etag and lastModified headers, or null if it has neither.
+ */
+function getResponseValidator(response) {
+  const etag = response.headers.get('ETag');
+  const lastModified = response.headers.get('Last-Modified');
+  return etag || lastModified ? {etag, lastModified} : null;
+}
+
+/**
+ * Builds the headers that ask the server to confirm a cached texture is still valid.
+ *
+ * @param {object} entry - Cache entry returned by persistentCacheLookup().
+ * @returns {object} - Request headers.
+ */
+function getConditionalHeaders(entry) {
+  const headers = {};
+  if (entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (entry.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+  return headers;
+}
+
+/**
+ * Looks up the cache entry for a key, without loading the associated texture data.
+ *
+ * @param {string} key - Persistent cache key.
+ * @returns {Promise<object|null>} - The cache entry, or null if there isn't one or the cache is unavailable.
+ */
+async function persistentCacheLookup(key) {
+  try {
+    const db = await openPersistentCache();
+    const transaction = db.transaction(PERSISTENT_CACHE_ENTRY_STORE, 'readonly');
+    const entry = await idbPromise(transaction.objectStore(PERSISTENT_CACHE_ENTRY_STORE).get(key));
+    return entry || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Loads the texture data for a cache entry and marks it as recently used.
+ *
+ * @param {object} entry - Cache entry returned by persistentCacheLookup().
+ * @returns {Promise<WorkerTextureData|null>} - The cached texture data, or null if it couldn't be loaded.
+ */
+async function persistentCacheLoad(entry) {
+  try {
+    const db = await openPersistentCache();
+    const transaction = db.transaction([PERSISTENT_CACHE_ENTRY_STORE, PERSISTENT_CACHE_DATA_STORE], 'readwrite');
+    const record = await idbPromise(transaction.objectStore(PERSISTENT_CACHE_DATA_STORE).get(entry.key));
+    if (!record) {
+      return null;
+    }
+    entry.lastUsed = Date.now();
+    transaction.objectStore(PERSISTENT_CACHE_ENTRY_STORE).put(entry);
+
+    const textureData = new WorkerTextureData({
+      format: record.format,
+      type: record.type,
+      width: record.width,
+      height: record.height,
+      depth: record.depth,
+      // Entries stored by older versions won't have any metadata.
+      orientation: record.orientation || null,
+      swizzle: record.swizzle || null,
+      premultipliedAlpha: !!record.premultipliedAlpha,
+    });
+    for (const level of record.levels) {
+      const textureLevel = textureData.getLevel(level.levelIndex, level);
+      for (const slice of level.slices) {
+        textureLevel.setSlice(slice.sliceIndex, slice.buffer);
+      }
+    }
+    return textureData;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Stores transcoded texture data in the persistent cache, then evicts the least recently used entries until the cache
+ * fits within the given size. Must be called before the texture data is transferred.
+ *
+ * @param {string} key - Persistent cache key.
+ * @param {object} validator - ETag and Last-Modified headers of the response the texture was transcoded from.
+ * @param {WorkerTextureData} textureData - The texture data to store.
+ * @param {number} maxSize - Maximum total size of the cache in bytes.
+ * @returns {Promise<void>} - Resolves once the data has been stored. Never rejects.
+ */
+async function persistentCacheStore(key, validator, textureData, maxSize) {
+  // Copy each slice into it's own buffer now, since the original buffers are about to be transferred.
+  let size = 0;
+  const levels = [];
+  for (const level of textureData.levels) {
+    const slices = [];
+    for (const slice of level.slices) {
+      slices.push({
+        sliceIndex: slice.sliceIndex,
+        buffer: slice.buffer.slice(slice.byteOffset, slice.byteOffset + slice.byteLength),
+      });
+      size += slice.byteLength;
+    }
+    levels.push({levelIndex: level.levelIndex, width: level.width, height: level.height, depth: level.depth, slices});
+  }
+
+  if (size > maxSize) {
+    return;
+  }
+
+  const record = {
+    key,
+    format: textureData.format,
+    type: textureData.type,
+    width: textureData.width,
+    height: textureData.height,
+    depth: textureData.depth,
+    orientation: textureData.orientation,
+    swizzle: textureData.swizzle,
+    premultipliedAlpha: textureData.premultipliedAlpha,
+    levels,
+  };
+
+  try {
+    const db = await openPersistentCache();
+    const transaction = db.transaction([PERSISTENT_CACHE_ENTRY_STORE, PERSISTENT_CACHE_DATA_STORE], 'readwrite');
+    const entryStore = transaction.objectStore(PERSISTENT_CACHE_ENTRY_STORE);
+    const dataStore = transaction.objectStore(PERSISTENT_CACHE_DATA_STORE);
+
+    entryStore.put({key, etag: validator.etag, lastModified: validator.lastModified, size, lastUsed: Date.now()});
+    dataStore.put(record);
+
+    // Walk the entries from most to least recently used, evicting everything past the size limit.
+    let totalSize = 0;
+    const cursorRequest = entryStore.index('lastUsed').openCursor(null, 'prev');
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) {
+        return;
+      }
+      totalSize += cursor.value.size;
+      if (totalSize > maxSize) {
+        dataStore.delete(cursor.value.key);
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+
+    await idbPromise(transaction);
+  } catch (err) {
+    // The cache is an optimization only, so failing to store the texture shouldn't fail the load.
+  }
+}
+
 function createTextureMessageHandler(onBufferReady) {
+  // AbortControllers for every request this worker is currently processing, keyed by texture ID.
+  const activeRequests = new Map();
+
   return async (msg) => {
     const url = msg.data.url; // The URL of the basis image OR
     const id = msg.data.id; // A unique ID for the texture
     let buffer = msg.data.buffer; // An array buffer with the file data
 
-    if (url) {
-      // Make the call to fetch the file data
-      const response = await fetch(url);
-      if (!response.ok) {
-        return textureLoadFail(id, `Fetch failed: ${response.status}, ${response.statusText}`);
+    // The main thread has asked us to stop working on a previously sent request.
+    if (msg.data.abort) {
+      const controller = activeRequests.get(id);
+      if (controller) {
+        controller.abort();
       }
-      buffer = await response.arrayBuffer();
+      return;
     }
 
-    if (!buffer) {
-      return textureLoadFail(id, `No url or buffer specified`);
-    }
+    const controller = new AbortController();
+    activeRequests.set(id, controller);
+
+    // Progress is only posted back if the main thread asked for it, to avoid flooding it with unused messages.
+    const onProgress = msg.data.progress ? (progress) => textureLoadProgress(id, progress) : null;
+
+    // Only textures loaded from a URL can be persistently cached, since the response's ETag or Last-Modified header is
+    // used to validate them.
+    const persistentCache = url ? msg.data.persistentCache : null;
+    const persistentCacheKey = persistentCache ? getPersistentCacheKey(msg.data) : null;
+    let validator = null;
 
-    const supportedFormats = [...msg.data.supportedFormats];
+    try {
+      if (url) {
+        let cacheEntry = persistentCache ? await persistentCacheLookup(persistentCacheKey) : null;
+
+        // Make the call to fetch the file data. If a previously transcoded copy is available ask the server to confirm
+        // it's still valid rather than sending the file again.
+        let response;
+        try {
+          const headers = cacheEntry ? getConditionalHeaders(cacheEntry) : {};
+          response = await fetch(url, {signal: controller.signal, headers});
+        } catch (err) {
+          // Conditional headers make cross-origin requests send a CORS preflight, which fails if the server doesn't
+          // allow them. A plain request may still succeed, it just can't reuse the cached copy.
+          if (!cacheEntry || controller.signal.aborted) {
+            throw err;
+          }
+          cacheEntry = null;
+          response = await fetch(url, {signal: controller.signal});
+        }
 
-    // Advertise formats that can be trivially transcoded to as supported as well.
-    const transcoders = {};
-    for (const transcodeDst in UNCOMPRESSED_TRANSCODERS) {
-      if (supportedFormats.indexOf(transcodeDst) != -1) {
-        const transcodeFunctions = UNCOMPRESSED_TRANSCODERS[transcodeDst];
-        for (const transcodeSrc in transcodeFunctions) {
-          if (supportedFormats.indexOf(transcodeSrc) == -1) {
-            supportedFormats.push(transcodeSrc);
-            transcoders[transcodeSrc] = {
-              format: transcodeDst,
-              function: transcodeFunctions[transcodeSrc],
-            };
+        if (cacheEntry && response.status == 304) {
+          const cachedData = await persistentCacheLoad(cacheEntry);
+          if (controller.signal.aborted) {
+            return textureLoadAborted(id);
+          }
+          if (cachedData) {
+            return cachedData.transfer(id);
+          }
+          // The cached data has gone missing, so fall back to a normal, unconditional fetch.
+          response = await fetch(url, {signal: controller.signal});
+        }
+
+        if (!response.ok) {
+          return textureLoadFail(id, `Fetch failed: ${response.status}, ${response.statusText}`);
+        }
+        // Responses without a readable validator, which is common for cross-origin requests, aren't cached.
+        validator = getResponseValidator(response);
+        buffer = await readResponseBuffer(response, onProgress);
+      }
+
+      if (controller.signal.aborted) {
+        return textureLoadAborted(id);
+      }
+
+      if (!buffer) {
+        return textureLoadFail(id, `No url or buffer specified`);
+      }
+
+      if (onProgress) {
+        onProgress({stage: 'fetched', loaded: buffer.byteLength, total: buffer.byteLength});
+      }
+
+      const supportedFormats = [...msg.data.supportedFormats];
+
+      // Advertise formats that can be trivially transcoded to as supported as well.
+      const transcoders = {};
+      for (const transcodeDst in UNCOMPRESSED_TRANSCODERS) {
+        if (supportedFormats.indexOf(transcodeDst) != -1) {
+          const transcodeFunctions = UNCOMPRESSED_TRANSCODERS[transcodeDst];
+          for (const transcodeSrc in transcodeFunctions) {
+            if (supportedFormats.indexOf(transcodeSrc) == -1) {
+              supportedFormats.push(transcodeSrc);
+              transcoders[transcodeSrc] = {
+                format: transcodeDst,
+                function: transcodeFunctions[transcodeSrc],
+              };
+            }
           }
         }
       }
-    }
 
-    try {
       // Should return a WorkerTextureData instance
       const result = await onBufferReady(
           buffer, // An array buffer with the file data
           supportedFormats, // The formats this device supports
-          msg.data.mipmaps); // Wether or not mipmaps should be unpacked
+          msg.data.mipmaps, // Wether or not mipmaps should be unpacked
+          { // Additional per-request options
+            onProgress: onProgress || (() => {}),
+            applySwizzle: !!msg.data.applySwizzle,
+            transcodeHint: msg.data.transcodeHint || null,
+            transcodePreference: msg.data.transcodePreference || 'default',
+            imageIndex: msg.data.imageIndex || 0,
+            hdrFormat: msg.data.hdrFormat || 'rgba16float',
+            exrChannels: msg.data.exrChannels || null,
+            // The formats the device supports without any of the transcoders above.
+            nativeFormats: msg.data.supportedFormats,
+          });
+
+      // Transcoding can't be interrupted, so check again once it's done before doing any more work.
+      if (controller.signal.aborted) {
+        return textureLoadAborted(id);
+      }
 
       const transcode = transcoders[result.format];
       if (transcode) {
         result.transcode(transcode.format, transcode.function);
       }
 
+      if (persistentCache && validator) {
+        // Intentionally not awaited, the texture doesn't need to wait for the cache to be written.
+        persistentCacheStore(persistentCacheKey, validator, result, persistentCache.maxSize);
+      }
+
       result.transfer(id);
     } catch (err) {
-      textureLoadFail(id, err.message);
+      if (controller.signal.aborted) {
+        textureLoadAborted(id);
+      } else {
+        textureLoadFail(id, err.message, err instanceof TextureParseError ? {name: err.name, field: err.field} : null);
+      }
+    } finally {
+      activeRequests.delete(id);
     }
   };
 }
@@ -80,6 +492,9 @@ const DEFAULT_TEXTURE_DATA_OPTIONS = {
   width: 1,
   height: 1,
   depth: 1,
+  orientation: null,
+  swizzle: null,
+  premultipliedAlpha: false,
   imageData: null,
   imageDataOptions: {},
 };
@@ -101,6 +516,11 @@ class WorkerTextureData {
       this.depth = 1;
     }
 
+    // Metadata from the file that renderers may need to account for.
+    this.orientation = options.orientation;
+    this.swizzle = options.swizzle;
+    this.premultipliedAlpha = options.premultipliedAlpha;
+
     this.levels = [];
     this.bufferSet = new Set();
 
@@ -146,6 +566,9 @@ class WorkerTextureData {
       width: this.width,
       height: this.height,
       depth: this.depth,
+      orientation: this.orientation,
+      swizzle: this.swizzle,
+      premultipliedAlpha: this.premultipliedAlpha,
       levels: levelList,
     }, this.bufferSet.values());
   }
@@ -229,9 +652,57 @@ function rgb8ToRgba8(slice) {
   slice.byteLength = dst.byteLength;
 };
 
+/**
+ * Replaces the data of a slice with a new array containing one converted element for each element of the original.
+ *
+ * @param {object} slice - Slice to convert.
+ * @param {Function} SrcArrayType - Typed array constructor to read the slice's data with.
+ * @param {Function} DstArrayType - Typed array constructor for the converted data.
+ * @param {Function} convert - Converts one source element into a destination element.
+ * @returns {void}
+ */
+function convertSlice(slice, SrcArrayType, DstArrayType, convert) {
+  const src = new SrcArrayType(slice.buffer, slice.byteOffset, slice.byteLength / SrcArrayType.BYTES_PER_ELEMENT);
+  const dst = new DstArrayType(src.length);
+
+  for (let i = 0; i < src.length; ++i) {
+    dst[i] = convert(src[i]);
+  }
+
+  slice.buffer = dst.buffer;
+  slice.byteOffset = dst.byteOffset;
+  slice.byteLength = dst.byteLength;
+}
+
+// Expand 4, 5, and 6 bit channels to 8 bits by replicating the high bits into the low bits.
+const expand4 = (value) => (value << 4) | value;
+const expand5 = (value) => (value << 3) | (value >> 2);
+const expand6 = (value) => (value << 2) | (value >> 4);
+
 // Transcoders are listed as { 'destination format': { 'source format': fn(), 'source_format2': fn()... } }
 // Destinations formats should be listed in order of preference.
+// A few of the source formats, such as 'bgr5a1unorm' and 'a8unorm', aren't supported by either WebGL or WebGPU and
+// only exist so that loaders have a name for them.
+/* eslint-disable no-multi-spaces */
 const UNCOMPRESSED_TRANSCODERS = {
+  'rgba5551unorm': {
+    'bgr5a1unorm': (slice) => convertSlice(slice, Uint16Array, Uint16Array, (px) => {
+      return ((px & 0x7c00) << 1) | // R
+             ((px & 0x3e0) << 1) |  // G
+             ((px & 0x1f) << 1) |   // B
+             (px >> 15);            // A
+    }),
+  },
+
+  'rgba4unorm': {
+    'bgra4unorm': (slice) => convertSlice(slice, Uint16Array, Uint16Array, (px) => {
+      return ((px & 0xf00) << 4) | // R
+             ((px & 0xf0) << 4) |  // G
+             ((px & 0xf) << 4) |   // B
+             (px >> 12);           // A
+    }),
+  },
+
   'rgba8unorm': {
     'bgra8unorm': (slice) => {
       // Because the buffer size stays the same we can do the swizzle in place.
@@ -246,9 +717,257 @@ const UNCOMPRESSED_TRANSCODERS = {
     },
 
     'rgb8unorm': rgb8ToRgba8,
+
+    'bgr8unorm': (slice) => {
+      rgb8ToRgba8(slice);
+      UNCOMPRESSED_TRANSCODERS['rgba8unorm']['bgra8unorm'](slice);
+    },
+
+    'rgb565unorm': (slice) => convertSlice(slice, Uint16Array, Uint32Array, (px) => {
+      return expand5(px >> 11) +                 // R
+             (expand6((px >> 5) & 0x3f) << 8) +  // G
+             (expand5(px & 0x1f) << 16) +        // B
+             0xff000000;                         // A (Always 255)
+    }),
+
+    'bgr5a1unorm': (slice) => convertSlice(slice, Uint16Array, Uint32Array, (px) => {
+      return expand5((px >> 10) & 0x1f) +        // R
+             (expand5((px >> 5) & 0x1f) << 8) +  // G
+             (expand5(px & 0x1f) << 16) +        // B
+             ((px >> 15) * 0xff000000);          // A
+    }),
+
+    'bgra4unorm': (slice) => convertSlice(slice, Uint16Array, Uint32Array, (px) => {
+      return expand4((px >> 8) & 0xf) +          // R
+             (expand4((px >> 4) & 0xf) << 8) +   // G
+             (expand4(px & 0xf) << 16) +         // B
+             (expand4(px >> 12) * 0x1000000);    // A
+    }),
+
+    'rg8unorm': (slice) => convertSlice(slice, Uint16Array, Uint32Array, (px) => px + 0xff000000),
+
+    'r8unorm': (slice) => convertSlice(slice, Uint8Array, Uint32Array, (px) => px + 0xff000000),
+
+    'a8unorm': (slice) => convertSlice(slice, Uint8Array, Uint32Array, (px) => px * 0x1000000),
   },
 
   'rgba8unorm-srgb': {
     'rgb8unorm-srgb': rgb8ToRgba8,
+  },
+
+  // 16 bit normalized formats aren't widely supported, so they're converted to floats instead. 16 bit floats are
+  // preferred, since they take the same memory and can always be filtered, but lose some precision near 1.0.
+  'r16float': {
+    'r16unorm': (slice) => convertSlice(slice, Uint16Array, Uint16Array, (value) => float32ToFloat16(value / 0xffff)),
+  },
+
+  'rg16float': {
+    'rg16unorm': (slice) => convertSlice(slice, Uint16Array, Uint16Array, (value) => float32ToFloat16(value / 0xffff)),
+  },
+
+  'r32float': {
+    'r16unorm': (slice) => convertSlice(slice, Uint16Array, Float32Array, (value) => value / 0xffff),
+  },
+
+  'rg32float': {
+    'rg16unorm': (slice) => convertSlice(slice, Uint16Array, Float32Array, (value) => value / 0xffff),
+  },
+};
+/* eslint-enable */
+
+// Used to reinterpret the bits of 32 bit floats when packing them into smaller float formats.
+const FLOAT32_VIEW = new Float32Array(1);
+const FLOAT32_BITS = new Uint32Array(FLOAT32_VIEW.buffer);
+
+/**
+ * Converts a number to the bits of a 16 bit float, as stored in 'r16float', 'rg16float', and 'rgba16float' textures.
+ * Values too large to be represented become the largest finite 16 bit float.
+ *
+ * @param {number} value - Value to convert.
+ * @returns {number} - The 16 bit float, rounded to the nearest representable value.
+ */
+function float32ToFloat16(value) { // eslint-disable-line no-unused-vars
+  FLOAT32_VIEW[0] = value;
+  const bits = FLOAT32_BITS[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  const mantissa = bits & 0x7fffff;
+
+  if (exponent == 0xff - 127 + 15) {
+    // Infinity or NaN
+    return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  }
+  if (exponent >= 0x1f) {
+    return sign | 0x7bff;
+  }
+  if (exponent <= 0) {
+    if (exponent < -10) {
+      return sign;
+    }
+    // Denormalized, so the implicit leading 1 becomes part of the mantissa.
+    const shift = 14 - exponent;
+    return sign | (((mantissa | 0x800000) + (1 << (shift - 1))) >> shift);
+  }
+  const rounded = ((exponent << 10) | (mantissa >> 13)) + ((mantissa >> 12) & 1);
+  return sign | Math.min(rounded, 0x7bff);
+}
+
+/**
+ * Converts the bits of a 16 bit float to a number.
+ *
+ * @param {number} value - The 16 bit float.
+ * @returns {number} - The value it represents.
+ */
+function float16ToFloat32(value) { // eslint-disable-line no-unused-vars
+  const sign = value & 0x8000 ? -1 : 1;
+  const exponent = (value >> 10) & 0x1f;
+  const mantissa = value & 0x3ff;
+
+  if (!exponent) {
+    return sign * mantissa * Math.pow(2, -24);
+  }
+  if (exponent == 0x1f) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * (mantissa + 0x400) * Math.pow(2, exponent - 25);
+}
+
+/**
+ * Converts a number to an unsigned float with a 5 bit exponent, as packed into 'rg11b10ufloat' textures. Negative
+ * values become 0, and values too large to be represented become the largest finite value.
+ *
+ * @param {number} value - Value to convert.
+ * @param {number} mantissaBits - Size of the float's mantissa, 6 for 11 bit floats or 5 for 10 bit floats.
+ * @returns {number} - The unsigned float, with the value truncated to fit.
+ */
+function float32ToUfloat(value, mantissaBits) {
+  FLOAT32_VIEW[0] = value;
+  const bits = FLOAT32_BITS[0];
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  const mantissa = bits & 0x7fffff;
+  const maxValue = (0x1e << mantissaBits) | ((1 << mantissaBits) - 1);
+
+  if (bits & 0x80000000 || !value) {
+    return 0;
+  }
+  if (exponent == 0xff - 127 + 15) {
+    // Infinity or NaN
+    return mantissa ? (0x1f << mantissaBits) | 1 : maxValue;
+  }
+  if (exponent >= 0x1f) {
+    return maxValue;
   }
+  if (exponent <= 0) {
+    if (exponent < -mantissaBits) {
+      return 0;
+    }
+    return (mantissa | 0x800000) >> (24 - mantissaBits - exponent);
+  }
+  return (exponent << mantissaBits) | (mantissa >> (23 - mantissaBits));
+}
+
+/**
+ * Packs an RGB color into the 32 bit layout of an 'rg11b10ufloat' texel.
+ *
+ * @param {number} r - Red channel.
+ * @param {number} g - Green channel.
+ * @param {number} b - Blue channel.
+ * @returns {number} - The packed texel.
+ */
+function packRG11B10UFloat(r, g, b) { // eslint-disable-line no-unused-vars
+  return (float32ToUfloat(r, 6) | (float32ToUfloat(g, 6) << 11) | (float32ToUfloat(b, 5) << 22)) >>> 0;
+}
+
+// Formats that Basis Universal data can be transcoded to, named the same as libktx's TranscodeTarget enum. Quality is
+// a rough ranking used to order the targets when the best looking result is preferred.
+const BASIS_TRANSCODE_TARGETS = {
+  ETC1_RGB: {format: 'etc1-rgb-unorm', bitsPerPixel: 4, quality: 2},
+  ETC2_RGBA: {format: 'etc2-rgba8unorm', bitsPerPixel: 8, quality: 2},
+  BC1_RGB: {format: 'bc1-rgb-unorm', bitsPerPixel: 4, quality: 1},
+  BC3_RGBA: {format: 'bc3-rgba-unorm', bitsPerPixel: 8, quality: 2},
+  BC4_R: {format: 'bc4-r-unorm', bitsPerPixel: 4, quality: 3},
+  BC5_RG: {format: 'bc5-rg-unorm', bitsPerPixel: 8, quality: 3},
+  BC7_M5_RGBA: {format: 'bc7-rgba-unorm', bitsPerPixel: 8, quality: 3},
+  EAC_R11: {format: 'eac-r11unorm', bitsPerPixel: 4, quality: 3},
+  EAC_RG11: {format: 'eac-rg11unorm', bitsPerPixel: 8, quality: 3},
+  ASTC_4x4_RGBA: {format: 'astc-4x4-rgba-unorm', bitsPerPixel: 8, quality: 3},
+  PVRTC1_4_RGB: {format: 'pvrtc1-4bpp-rgb-unorm', bitsPerPixel: 4, quality: 0},
+  PVRTC1_4_RGBA: {format: 'pvrtc1-4bpp-rgba-unorm', bitsPerPixel: 4, quality: 0},
+
+  // If we don't support any appropriate compressed formats transcode to raw pixels. This is something of a last
+  // resort, because the GPU upload will be significantly slower and take a lot more memory, but at least it prevents
+  // you from needing to store a fallback JPG/PNG and the download size will still likely be smaller.
+  RGBA32: {format: 'rgba8unorm', bitsPerPixel: 32, quality: 3, uncompressed: true},
+  RGB565: {format: 'rgb565unorm', bitsPerPixel: 16, quality: 1, uncompressed: true},
+  RGBA4444: {format: 'rgba4unorm', bitsPerPixel: 16, quality: 1, uncompressed: true},
+};
+
+// Transcode targets to consider for each kind of texture content, in order of preference.
+// See http://richg42.blogspot.com/2018/05/basis-universal-gpu-texture-format.html for details.
+const BASIS_TRANSCODE_PREFERENCES = {
+  // ETC1 Should be the highest quality, so use when available.
+  'color': ['ETC1_RGB', 'BC7_M5_RGBA', 'BC1_RGB', 'ETC2_RGBA', 'ASTC_4x4_RGBA', 'PVRTC1_4_RGB', 'RGB565', 'RGBA32'],
+  'color-alpha': ['ETC2_RGBA', 'BC7_M5_RGBA', 'BC3_RGBA', 'ASTC_4x4_RGBA', 'PVRTC1_4_RGBA', 'RGBA32', 'RGBA4444'],
+  // Basis Universal normal maps store X in the color channels and Y in alpha, and the two channel formats are
+  // transcoded from those. Formats without alpha would lose Y, so they're never used.
+  'normal': ['BC5_RG', 'EAC_RG11', 'BC7_M5_RGBA', 'ETC2_RGBA', 'ASTC_4x4_RGBA', 'BC3_RGBA', 'RGBA32'],
+  'mask': ['BC4_R', 'EAC_R11', 'ETC1_RGB', 'BC7_M5_RGBA', 'BC1_RGB', 'ETC2_RGBA', 'ASTC_4x4_RGBA', 'PVRTC1_4_RGB',
+    'RGB565', 'RGBA32'],
 };
+
+/**
+ * Picks the format to transcode Basis Universal data to, whether it's from a .basis or KTX2 file.
+ *
+ * @param {object} source - Description of the data being transcoded.
+ * @param {boolean} source.hasAlpha - True if the data has an alpha channel.
+ * @param {number} [source.channelCount] - Number of channels the data uses, if the file indicates it.
+ * @param {Array<string>} nativeFormats - Formats the device supports natively. Formats that are only supported by
+ * converting them with UNCOMPRESSED_TRANSCODERS must not be included, otherwise they'd be picked over better looking
+ * formats that the device can use directly.
+ * @param {object} options - Additional options for the request.
+ * @param {string} [options.transcodeHint] - What the texture contains: 'color', 'normal', or 'mask'. If not given it's
+ * inferred from the source.
+ * @param {string} [options.transcodePreference='default'] - 'quality' to favor the best looking formats, 'size' to
+ * favor the formats that use the least memory, or 'default' to balance the two.
+ * @returns {string} - Name of the transcode target from BASIS_TRANSCODE_TARGETS.
+ */
+function selectBasisTranscodeTarget(source, nativeFormats, options) { // eslint-disable-line no-unused-vars
+  let content = options.transcodeHint;
+  if (!content) {
+    if (source.channelCount == 1) {
+      content = 'mask';
+    } else if (source.channelCount == 2) {
+      content = 'normal';
+    } else {
+      content = 'color';
+    }
+  }
+  if (content == 'color' && source.hasAlpha) {
+    content = 'color-alpha';
+  }
+
+  const preferences = BASIS_TRANSCODE_PREFERENCES[content];
+  if (!preferences) {
+    throw new Error(`Unknown transcode hint: ${options.transcodeHint}`);
+  }
+
+  // Uncompressed formats are always a last resort, so the preferences only reorder the targets within each group.
+  let compare = null;
+  if (options.transcodePreference == 'quality') {
+    compare = (a, b) => BASIS_TRANSCODE_TARGETS[b].quality - BASIS_TRANSCODE_TARGETS[a].quality;
+  } else if (options.transcodePreference == 'size') {
+    compare = (a, b) => BASIS_TRANSCODE_TARGETS[a].bitsPerPixel - BASIS_TRANSCODE_TARGETS[b].bitsPerPixel;
+  }
+  const targets = compare ? [...preferences].sort((a, b) => {
+    const uncompressedOrder = !!BASIS_TRANSCODE_TARGETS[a].uncompressed - !!BASIS_TRANSCODE_TARGETS[b].uncompressed;
+    return uncompressedOrder || compare(a, b);
+  }) : preferences;
+
+  for (const target of targets) {
+    if (nativeFormats.indexOf(BASIS_TRANSCODE_TARGETS[target].format) > -1) {
+      return target;
+    }
+  }
+
+  throw new Error('No appropriate transcode format found.');
+}